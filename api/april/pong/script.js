@@ -52,11 +52,10 @@ async function fetchAndProcessImage(url) {
   }
 }
 
-fetchAndProcessImage(
-  `https://data.scratchtools.app/pfp/${new URLSearchParams(window.location.search).get(
-    "id"
-  )}/`
-);
+// The mock server has no profile pictures, so the game starts without one.
+ScratchTools.server
+  .fileUrl(`/pfp/${new URLSearchParams(window.location.search).get("id")}/`)
+  .then(fetchAndProcessImage, () => pong());
 
 document.querySelector(".play-again").addEventListener("click", function() {
     window.location.href = window.location.href
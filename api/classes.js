@@ -0,0 +1,181 @@
+// Scratch's CSS modules name classes "<file>_<local>_<hash>", and the hash
+// changes whenever Scratch redeploys. This keeps a map from each prefix (the
+// part up to and including the second underscore) to the current hashed class,
+// built from the page's stylesheets and cached per Scratch build.
+var ScratchTools = ScratchTools || {};
+
+var CLASS_MAP_KEY = "ste-class-map";
+var CLASS_MAP_BUILDS = 5;
+var HASHED_CLASS_REGEX = /\.([a-zA-Z0-9-]+_[a-zA-Z0-9-]+_)([\w-]{5})(?![\w-])/g;
+// Selectors in feature CSS such as ".gui_flex-wrapper_" that end at the
+// prefix are rewritten to the hashed class.
+var CLASS_PREFIX_REGEX = /\.([a-zA-Z0-9-]+_[a-zA-Z0-9-]+_)(?![\w-])/g;
+
+var liveClasses = {};
+var cachedClasses = loadClassMap();
+var classListeners = [];
+var rewrittenStyles = [];
+var classRefreshScheduled = false;
+
+function getScratchBuild() {
+  return [...document.querySelectorAll("script[src]")]
+    .map((el) => el.src)
+    .filter((src) => new URL(src).host === "scratch.mit.edu")
+    .sort()
+    .join(",");
+}
+
+function getClassMaps() {
+  try {
+    return JSON.parse(localStorage.getItem(CLASS_MAP_KEY)) || [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// The build isn't known until the page's scripts are parsed, so the newest
+// map for this page type is used until then.
+function loadClassMap() {
+  var entry = getClassMaps().find((el) => el.type === ScratchTools.type);
+  return entry ? { ...entry.classes } : {};
+}
+
+function saveClassMap() {
+  var build = getScratchBuild();
+  if (!build) return;
+  var caches = getClassMaps().filter((el) => el.build !== build);
+  caches.unshift({
+    build,
+    type: ScratchTools.type,
+    classes: { ...cachedClasses, ...liveClasses },
+  });
+  try {
+    localStorage.setItem(
+      CLASS_MAP_KEY,
+      JSON.stringify(caches.slice(0, CLASS_MAP_BUILDS))
+    );
+  } catch (err) {}
+}
+
+function validateClassMap() {
+  var build = getScratchBuild();
+  var entry = getClassMaps().find((el) => el.build === build);
+  cachedClasses = entry ? { ...entry.classes } : {};
+}
+
+function getStylesheetText() {
+  var text = (ScratchTools.cssFiles || []).map((el) => el.data);
+  document.querySelectorAll("style").forEach(function (style) {
+    if (!style.dataset.feature) text.push(style.textContent);
+  });
+  return text.join("\n");
+}
+
+function refreshClassMap() {
+  classRefreshScheduled = false;
+  var changed = false;
+  var text = getStylesheetText();
+  var match;
+  HASHED_CLASS_REGEX.lastIndex = 0;
+  while ((match = HASHED_CLASS_REGEX.exec(text)) !== null) {
+    var full = match[1] + match[2];
+    if (liveClasses[match[1]] !== full) {
+      liveClasses[match[1]] = full;
+      changed = true;
+    }
+  }
+  if (!changed) return;
+  saveClassMap();
+  rewrittenStyles.forEach(renderRewrittenStyle);
+  classListeners.forEach((callback) => callback());
+}
+
+function rewriteClasses(css) {
+  return css.replace(CLASS_PREFIX_REGEX, function (selector, prefix) {
+    var hashed = ScratchTools.classes.get(prefix, { exact: true });
+    return hashed ? "." + hashed : selector;
+  });
+}
+
+function renderRewrittenStyle(entry) {
+  entry.style.textContent = rewriteClasses(entry.source);
+}
+
+// Feature stylesheets that use prefixed selectors are swapped for <style>
+// elements, so they can be rewritten again when the map changes.
+async function rewriteFeatureStylesheet(link) {
+  if (!link.dataset.feature) return;
+  try {
+    var source = await (await fetch(link.href)).text();
+  } catch (err) {
+    return;
+  }
+  CLASS_PREFIX_REGEX.lastIndex = 0;
+  if (!CLASS_PREFIX_REGEX.test(source) || !link.isConnected) return;
+  var style = document.createElement("style");
+  style.dataset.feature = link.dataset.feature;
+  if (link.dataset.runOn) {
+    style.dataset.runOn = link.dataset.runOn;
+  }
+  var entry = { style, source };
+  rewrittenStyles.push(entry);
+  renderRewrittenStyle(entry);
+  link.replaceWith(style);
+  style.disabled = link.disabled;
+}
+
+ScratchTools.classes = {
+  // Returns the hashed class for a prefix such as "menu_menu-item_". Unless
+  // exact is set, any class that contains the name is also accepted.
+  get: function (name, { exact = false } = {}) {
+    if (liveClasses[name]) return liveClasses[name];
+    if (cachedClasses[name]) return cachedClasses[name];
+    if (exact) return undefined;
+    var prefix = Object.keys(liveClasses).find((el) => el.includes(name));
+    if (prefix) return liveClasses[prefix];
+    var element = document.querySelector(`[class*='${name}']`);
+    return [...(element?.classList || [])].find((el) => el.includes(name));
+  },
+  selector: function (name) {
+    var hashed = ScratchTools.classes.get(name);
+    return hashed ? "." + hashed : `[class*='${name}']`;
+  },
+  rewrite: rewriteClasses,
+  // Returns a <style> element whose prefixed selectors stay rewritten as the
+  // map changes.
+  createStyle: function (css) {
+    var entry = { style: document.createElement("style"), source: css };
+    rewrittenStyles.push(entry);
+    renderRewrittenStyle(entry);
+    return entry.style;
+  },
+  refresh: function () {
+    if (classRefreshScheduled) return;
+    classRefreshScheduled = true;
+    setTimeout(refreshClassMap, 0);
+  },
+  onChange: function (callback) {
+    classListeners.push(callback);
+    return {
+      remove: function () {
+        classListeners = classListeners.filter((el) => el !== callback);
+      },
+    };
+  },
+};
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", function () {
+    validateClassMap();
+    ScratchTools.classes.refresh();
+  });
+} else {
+  validateClassMap();
+}
+ScratchTools.waitForElements("style", function (style) {
+  if (!style.dataset.feature) ScratchTools.classes.refresh();
+});
+ScratchTools.waitForElements(
+  ".scratchtools-styles-div link[data-feature]",
+  rewriteFeatureStylesheet
+);
@@ -38,9 +38,11 @@ function injectRedux() {
     const reduxTarget = (steRedux.target = new EventTarget());
     steRedux.state = {};
     steRedux.dispatch = () => {};
+    steRedux.getState = () => steRedux.state;
 
     function middleware({ getState, dispatch }) {
       steRedux.dispatch = dispatch;
+      steRedux.getState = getState;
       steRedux.state = getState();
       return (next) => (action) => {
         const nextReturn = next(action);
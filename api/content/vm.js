@@ -23,6 +23,8 @@ immediatelyRunFunctionInMainWorld(() => {
       Object.prototype.hasOwnProperty.call(args[0], "runtime")
     ) {
       onceMap.vm = args[0];
+      // Dispatched once the VM has finished being constructed.
+      queueMicrotask(() => __steTraps.dispatchEvent(new Event("vm")))
       Function.prototype.bind = oldBind;
       return oldBind.apply(this, args);
     } else {
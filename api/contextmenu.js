@@ -0,0 +1,249 @@
+// One registry for every editor context menu. Blockly menus (blocks and the
+// workspace) are extended by wrapping ScratchBlocks.ContextMenu.show, with
+// BlockSvg's showContextMenu_ wrapped to tell which block it's for, and the
+// React menus (sprites, costumes, sounds and monitors) by adding items to the
+// menu element when it opens.
+let contextMenuItems = [];
+let patchedContextMenu = null;
+// The block whose menu is being built. ContextMenu.currentBlock can't be used,
+// since it's only set after the menu is shown.
+let contextMenuBlock = null;
+
+ScratchTools.contextMenu = {
+  TARGETS: ["block", "workspace", "sprite", "costume", "sound", "monitor"],
+  // Options: target, label (a string or a function of the context), callback,
+  // filter, enabled, separator (draws a line above the item), position
+  // ("start" or "end") and order (lower comes first).
+  add: function (options) {
+    if (!ScratchTools.contextMenu.TARGETS.includes(options.target)) {
+      throw new Error(`"${options.target}" is not a context menu target.`);
+    }
+    let item = {
+      position: "end",
+      order: 0,
+      enabled: true,
+      separator: false,
+      ...options,
+    };
+    contextMenuItems.push(item);
+    patchBlocklyContextMenu();
+    return {
+      remove: function () {
+        contextMenuItems = contextMenuItems.filter((el) => el !== item);
+      },
+    };
+  },
+};
+
+function getContextMenuItems(target, context) {
+  let items = contextMenuItems
+    .filter((item) => item.target === target)
+    .filter((item) => !item.filter || item.filter(context))
+    .sort((a, b) => a.order - b.order);
+  return {
+    start: items.filter((item) => item.position === "start"),
+    end: items.filter((item) => item.position !== "start"),
+  };
+}
+
+function getContextMenuLabel(item, context) {
+  return typeof item.label === "function" ? item.label(context) : item.label;
+}
+
+function patchBlocklyContextMenu() {
+  let ScratchBlocks = ScratchTools.traps.getScratchBlocks();
+  if (!ScratchBlocks || patchedContextMenu === ScratchBlocks) return;
+  patchedContextMenu = ScratchBlocks;
+  if (!ScratchTools.styles.getStyleById("context-menu-separators")) {
+    ScratchTools.styles.add(
+      `.blocklyContextMenu .ste-context-menu-separator {
+        border-top: 1px solid hsla(0, 0%, 0%, 0.15);
+      }`,
+      "context-menu-separators"
+    );
+  }
+  let showBlockMenu = ScratchBlocks.BlockSvg.prototype.showContextMenu_;
+  ScratchBlocks.BlockSvg.prototype.showContextMenu_ = function (e) {
+    contextMenuBlock = this;
+    try {
+      return showBlockMenu.call(this, e);
+    } finally {
+      contextMenuBlock = null;
+    }
+  };
+  let show = ScratchBlocks.ContextMenu.show;
+  ScratchBlocks.ContextMenu.show = function (e, options, rtl) {
+    let block = contextMenuBlock;
+    let workspace = block?.workspace || ScratchBlocks.getMainWorkspace();
+    let target = block ? "block" : "workspace";
+    let context = { block, workspace, event: e };
+    let { start, end } = getContextMenuItems(target, context);
+    let toOption = (item) => ({
+      text: getContextMenuLabel(item, context),
+      enabled: item.enabled,
+      callback: () => item.callback(context),
+    });
+    let menu = [...start.map(toOption), ...options, ...end.map(toOption)];
+    show.call(this, e, menu, rtl);
+
+    // Blockly menus have no separator option, so the line is drawn with CSS.
+    let separators = [...start, ...options, ...end]
+      .map((item, i) => (item.separator ? i : -1))
+      .filter((i) => i > 0);
+    let rendered = document.querySelectorAll(
+      ".blocklyContextMenu .goog-menuitem"
+    );
+    separators.forEach((i) =>
+      rendered[i]?.classList.add("ste-context-menu-separator")
+    );
+  };
+}
+
+window.__steRedux?.target?.addEventListener("statechanged", function () {
+  if (contextMenuItems.length) patchBlocklyContextMenu();
+});
+
+function getReactInternals(element) {
+  let key = Object.keys(element).find((key) =>
+    key.startsWith("__reactInternalInstance")
+  );
+  return key ? element[key] : null;
+}
+
+function findReactProps(internals, prop) {
+  while (internals) {
+    if (
+      internals.stateNode?.props &&
+      Object.prototype.hasOwnProperty.call(internals.stateNode.props, prop)
+    ) {
+      return internals.stateNode.props;
+    }
+    internals = internals.return;
+  }
+  return null;
+}
+
+// Works out what a React context menu was opened on.
+function getReactContextMenuTarget(trigger) {
+  let vm = ScratchTools.Scratch.vm;
+  let monitor = findReactProps(getReactInternals(trigger), "opcode");
+  if (monitor) {
+    return {
+      target: "monitor",
+      context: {
+        id: monitor.id,
+        opcode: monitor.opcode,
+        variable: vm.runtime.getTargetForStage().lookupVariableById(monitor.id),
+        element: trigger,
+      },
+    };
+  }
+  let list = trigger.closest(
+    "[class*='sprite-selector_items-wrapper_'], [class*='selector_list-area_']"
+  );
+  if (!list) return null;
+  let index = [...list.querySelectorAll(".react-contextmenu-wrapper")].indexOf(
+    trigger
+  );
+  if (list.matches("[class*='sprite-selector_items-wrapper_']")) {
+    let sprites = Object.values(
+      ScratchTools.Scratch.scratchGui().targets.sprites
+    );
+    return {
+      target: "sprite",
+      context: {
+        index,
+        target: vm.runtime.getTargetById(sprites[index]?.id),
+        element: trigger,
+      },
+    };
+  }
+  let tab = ScratchTools.Scratch.scratchGui().editorTab.activeTabIndex;
+  if (tab === 1) {
+    return {
+      target: "costume",
+      context: {
+        index,
+        target: vm.editingTarget,
+        costume: vm.editingTarget.getCostumes()[index],
+        element: trigger,
+      },
+    };
+  }
+  if (tab === 2) {
+    return {
+      target: "sound",
+      context: {
+        index,
+        target: vm.editingTarget,
+        sound: vm.editingTarget.getSounds()[index],
+        element: trigger,
+      },
+    };
+  }
+  return null;
+}
+
+function findReactContextMenu(trigger) {
+  let id = findReactProps(getReactInternals(trigger), "holdToDisplay")?.id;
+  return [...document.querySelectorAll("body > nav.react-contextmenu")].find(
+    (menu) => findReactProps(getReactInternals(menu), "id")?.id === id
+  );
+}
+
+function createReactContextMenuItem(item, context) {
+  let div = document.createElement("div");
+  div.className = `react-contextmenu-item ${scratchClass(
+    "context-menu_menu-item_"
+  )} ste-context-menu-item`;
+  if (item.separator) {
+    div.classList.add(scratchClass("context-menu_menu-item-bordered_"));
+  }
+  div.role = "menuitem";
+  div.tabIndex = "-1";
+  div.ariaDisabled = !item.enabled;
+  let span = document.createElement("span");
+  span.textContent = getContextMenuLabel(item, context);
+  div.appendChild(span);
+  div.addEventListener("click", function () {
+    if (!item.enabled) return;
+    window.dispatchEvent(new CustomEvent("REACT_CONTEXTMENU_HIDE"));
+    item.callback(context);
+  });
+  return div;
+}
+
+document.addEventListener("contextmenu", function (e) {
+  if (!contextMenuItems.length) return;
+  let trigger = e.target.closest?.(".react-contextmenu-wrapper");
+  if (!trigger) return;
+  let found = getReactContextMenuTarget(trigger);
+  let menu = found && findReactContextMenu(trigger);
+  if (!menu) return;
+  menu.querySelectorAll(".ste-context-menu-item").forEach((el) => el.remove());
+  let { start, end } = getContextMenuItems(found.target, found.context);
+  menu.prepend(
+    ...start.map((item) => createReactContextMenuItem(item, found.context))
+  );
+  menu.append(
+    ...end.map((item) => createReactContextMenuItem(item, found.context))
+  );
+});
+
+// Older features add block menu items by block id.
+ScratchTools.traps.createContextMenu = function ({
+  id,
+  callback,
+  block,
+  disabled,
+  label,
+}) {
+  let item = ScratchTools.contextMenu.add({
+    target: "block",
+    filter: (context) => context.block.id === block,
+    label,
+    enabled: !disabled,
+    callback: (context) => callback(context.event),
+  });
+  return { delete: item.remove };
+};
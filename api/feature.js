@@ -7,7 +7,7 @@ class Feature {
       }
     });
     this.requestPermissions = async function(...permissions) {
-      return await ScratchTools.sendMessage("request-perms", permissions)
+      return await ScratchTools.sendMessage("request-perms", permissions, { timeout: null })
     }
     this.data = finalFeature;
     this.msg = function (string) {
@@ -30,7 +30,11 @@ class Feature {
     this.addEventListener = function (event, callback) {
       if (event === "disabled") {
         if (this.data.dynamic) {
-          allDisableFunctions[this.data.id || this.data.file] = callback;
+          addFeatureCallback(
+            allDisableFunctions,
+            this.data.id || this.data.file,
+            callback
+          );
         } else {
           console.error(
             `'${
@@ -40,7 +44,11 @@ class Feature {
         }
       } else if (event === "enabled") {
         if (this.data.dynamic) {
-          allEnableFunctions[this.data.id || this.data.file] = callback;
+          addFeatureCallback(
+            allEnableFunctions,
+            this.data.id || this.data.file,
+            callback
+          );
         } else {
           console.error(
             `'${
@@ -49,7 +57,7 @@ class Feature {
           );
         }
       } else if (event === "settingChange") {
-        allSettingChangeFunctions[this.data.id || this.data.file] = callback;
+        this.settings.addEventListener("changed", callback);
       } else if (event === "iceCream") {
         console.log("Yummy!");
       } else {
@@ -62,8 +70,15 @@ class Feature {
       get: function (key) {
         var settings = {};
         options.forEach(function (el) {
-          if (ScratchTools.Storage[el.id]) {
-            settings[el.id] = ScratchTools.Storage[el.id];
+          var value = ScratchTools.options.parse(el, ScratchTools.Storage[el.id]);
+          if (
+            ScratchTools.options.normalize(el).type ===
+            ScratchTools.options.TYPES.keybinding
+          ) {
+            value = ScratchTools.shortcuts.get(id, el.id);
+          }
+          if (value !== undefined) {
+            settings[el.id] = value;
           }
         });
         if (key) {
@@ -72,17 +87,36 @@ class Feature {
           return settings;
         }
       },
+      on: function (key, callback) {
+        addFeatureCallback(allSettingChangeFunctions, id, { key, callback });
+        return {
+          remove: function () {
+            allSettingChangeFunctions[id] = allSettingChangeFunctions[
+              id
+            ].filter((el) => el.callback !== callback);
+          },
+        };
+      },
+      off: function (key, callback) {
+        allSettingChangeFunctions[id] = (
+          allSettingChangeFunctions[id] || []
+        ).filter((el) => el.key !== key || el.callback !== callback);
+      },
       addEventListener: function (event, callback) {
         if (event === "changed") {
-          allSettingChangeFunctions[id] = callback;
+          return this.on(null, callback);
         } else {
           console.error("ScratchTools feature event not found.");
         }
       }
     }
     this.tab = {
-      path: window.location.pathname,
-      scratch: document.querySelector("#app") ? 3 : 2,
+      get path() {
+        return window.location.pathname
+      },
+      get scratch() {
+        return document.querySelector("#app") ? 3 : 2
+      },
     }
     this.getInternals = function(element) {
       let reactKey = Object.keys(element).find((key) => key.startsWith("__reactInternalInstance"))
@@ -95,8 +129,9 @@ class Feature {
     }
     this.redux = window.__steRedux
     if (finalFeature.version !== 2) {
-      console.warn(
-        `'${finalFeature.file}' does not use Feature v2. It is recommended that you use the newest version.`
+      ste.console.warn(
+        "Runs in the legacy runtime because it doesn't use Feature v2. It is recommended that you use the newest version.",
+        finalFeature.file
       );
     }
   }
@@ -0,0 +1,32 @@
+export default function (id) {
+  function send(message, content, options) {
+    return ScratchTools.sendMessage(message, content, options);
+  }
+
+  return {
+    send,
+    alarms: {
+      create: (name, { delayInMinutes, periodInMinutes } = {}) =>
+        send("alarm-create", {
+          feature: id,
+          name,
+          delayInMinutes,
+          periodInMinutes,
+        }),
+      clear: (name) => send("alarm-clear", { feature: id, name }),
+      onAlarm: (name, callback) =>
+        ScratchTools.onMessage("alarm", function (data) {
+          if (data.feature === id && data.name === name) callback(data);
+        }),
+    },
+    notifications: {
+      create: (title, message) =>
+        send("notification-create", { feature: id, title, message }),
+    },
+    permissions: {
+      contains: (...permissions) => send("contains-perms", permissions),
+      request: (...permissions) =>
+        send("request-perms", permissions, { timeout: null }),
+    },
+  };
+}
@@ -0,0 +1,182 @@
+// The last place the mouse was, so blocks can be put under the cursor. Every
+// feature shares the one listener.
+let mouse = null;
+document.addEventListener("mousemove", function (e) {
+  mouse = { x: e.clientX, y: e.clientY };
+});
+
+export default function () {
+  // ScratchBlocks is the editor's own copy of Blockly. The global Blockly is
+  // only used before it's been found.
+  function getScratchBlocks() {
+    return ScratchTools.traps.getScratchBlocks() || window.Blockly || null;
+  }
+
+  function getWorkspace() {
+    try {
+      return getScratchBlocks()?.getMainWorkspace() || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function resolveBlock(block) {
+    return typeof block === "string"
+      ? getWorkspace()?.getBlockById(block)
+      : block;
+  }
+
+  function fireMouseEvent(element, type, { x, y }) {
+    element.dispatchEvent(
+      new MouseEvent(type, {
+        bubbles: true,
+        cancelable: true,
+        view: window,
+        clientX: x,
+        clientY: y,
+        button: 0,
+      })
+    );
+  }
+
+  let blocks = {
+    getScratchBlocks,
+    getWorkspace,
+    getMouse: () => mouse,
+    // Blocks in the main workspace with the opcode, and optionally the given
+    // field values, e.g. find("data_setvariableto", { VARIABLE: "score" }).
+    find: function (opcode, fields = {}) {
+      let workspace = getWorkspace();
+      if (!workspace) return [];
+      return workspace.getAllBlocks().filter(function (block) {
+        if (opcode && block.type !== opcode) return false;
+        return Object.keys(fields).every(
+          (name) => block.getFieldValue(name) === fields[name]
+        );
+      });
+    },
+    // The blocks in the stack the block is part of, from the top down.
+    getStack: function (block) {
+      block = resolveBlock(block);
+      let stack = [];
+      let current = block?.getRootBlock();
+      while (current) {
+        stack.push(current);
+        current = current.getNextBlock();
+      }
+      return stack;
+    },
+    // Calls back with the block and every block inside or below it.
+    walk: function (block, callback) {
+      resolveBlock(block)?.getDescendants(false).forEach(callback);
+    },
+    screenToWorkspace: function (x, y) {
+      let workspace = getWorkspace();
+      let rect = workspace?.getCanvas()?.getBoundingClientRect();
+      let metrics = workspace?.getMetrics();
+      if (!rect || !metrics) return null;
+      let scale = metrics.scale || 1;
+      return {
+        x: (metrics.viewLeft || 0) + (x - rect.left) / scale,
+        y: (metrics.viewTop || 0) + (y - rect.top) / scale,
+      };
+    },
+    // Creates blocks from XML. They're attached below the selected block when
+    // connect is set and that works, and otherwise put at the cursor (or the
+    // given workspace position). Returns the top block created.
+    insertXml: function (xml, { connect = false, position } = {}) {
+      let ScratchBlocks = getScratchBlocks();
+      let workspace = getWorkspace();
+      if (!ScratchBlocks || !workspace) return null;
+      let dom =
+        typeof xml === "string" ? ScratchBlocks.Xml.textToDom(xml) : xml;
+      if (dom.tagName.toLowerCase() === "xml") dom = dom.firstElementChild;
+
+      return blocks.undoGroup(function () {
+        let block = ScratchBlocks.Xml.domToBlock(dom, workspace);
+        block.initSvg?.();
+        block.render?.();
+        let selected = ScratchBlocks.selected;
+        if (connect && selected?.nextConnection && block.previousConnection) {
+          try {
+            selected.nextConnection.connect(block.previousConnection);
+            return block;
+          } catch (err) {}
+        }
+        position =
+          position ||
+          (mouse && blocks.screenToWorkspace(mouse.x, mouse.y)) || {
+            x: 100,
+            y: 100,
+          };
+        let current = block.getRelativeToSurfaceXY();
+        block.moveBy(position.x - current.x, position.y - current.y);
+        return block;
+      });
+    },
+    // Picks the block up as if it had been clicked at the point (the cursor by
+    // default), so it follows the mouse until dropped.
+    beginDrag: function (block, point = mouse) {
+      block = resolveBlock(block);
+      let root = block?.getSvgRoot();
+      if (!root || !point) return;
+      requestAnimationFrame(function () {
+        fireMouseEvent(root, "mousedown", point);
+        requestAnimationFrame(function () {
+          let moved = { x: point.x + 2, y: point.y + 2 };
+          fireMouseEvent(root, "mousemove", moved);
+          fireMouseEvent(document, "mousemove", moved);
+        });
+      });
+    },
+    // Makes the block glow, for duration milliseconds unless that's 0.
+    highlight: function (block, duration = 1000) {
+      block = resolveBlock(block);
+      let workspace = block?.workspace;
+      if (!workspace) return;
+      workspace.glowBlock(block.id, true);
+      if (duration) {
+        setTimeout(() => workspace.glowBlock(block.id, false), duration);
+      }
+    },
+    scrollTo: function (block, { select = true } = {}) {
+      block = resolveBlock(block);
+      let workspace = block?.workspace;
+      if (!workspace) return;
+      if (workspace.centerOnBlock) {
+        workspace.centerOnBlock(block.id);
+      } else {
+        let { x, y } = block.getRelativeToSurfaceXY();
+        let metrics = workspace.getMetrics();
+        workspace.scrollbar.set(
+          x * workspace.scale - metrics.contentLeft - metrics.viewWidth / 2,
+          y * workspace.scale - metrics.contentTop - metrics.viewHeight / 2
+        );
+      }
+      if (select) block.select();
+    },
+    // Runs the edit as one undo step. Async edits stay grouped until they
+    // finish.
+    undoGroup: function (edit) {
+      let Events = getScratchBlocks()?.Events;
+      if (!Events) return edit();
+      let owner = !Events.getGroup();
+      if (owner) Events.setGroup(true);
+      let result;
+      try {
+        result = edit();
+      } catch (err) {
+        if (owner) Events.setGroup(false);
+        throw err;
+      }
+      if (owner) {
+        if (result instanceof Promise) {
+          return result.finally(() => Events.setGroup(false));
+        }
+        Events.setGroup(false);
+      }
+      return result;
+    },
+  };
+  return blocks;
+}
@@ -0,0 +1,19 @@
+export default function (id) {
+  return {
+    // Sends data to this feature's listeners in every other Scratch tab.
+    post: function (channel, data) {
+      return ScratchTools.sendMessage("feature-broadcast", {
+        feature: id,
+        channel,
+        data,
+      });
+    },
+    on: function (channel, callback) {
+      return ScratchTools.onMessage("feature-broadcast", function (message) {
+        if (message.feature === id && message.channel === channel) {
+          callback(message.data);
+        }
+      });
+    },
+  };
+}
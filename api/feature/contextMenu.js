@@ -0,0 +1,12 @@
+export default function (lifecycle) {
+  return {
+    // Items are removed while the feature is disabled and come back when it
+    // is enabled again.
+    add: function (options) {
+      return lifecycle.register(function () {
+        let item = ScratchTools.contextMenu.add(options);
+        return () => item.remove();
+      });
+    },
+  };
+}
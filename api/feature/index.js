@@ -2,14 +2,55 @@ import { default as self } from "./self.js";
 import { default as traps } from "./traps.js";
 import { default as auth } from "./auth.js";
 import { default as server } from "./server.js";
+import { default as lifecycle } from "./lifecycle.js";
+import { default as storage } from "./storage.js";
+import { default as background } from "./background.js";
+import { default as broadcast } from "./broadcast.js";
+import { default as contextMenu } from "./contextMenu.js";
+import { default as shortcuts } from "./shortcuts.js";
+import { default as ui } from "./ui.js";
+import { default as spaces } from "./spaces.js";
+import { default as redux } from "./redux.js";
+import { default as blocks } from "./blocks.js";
+import { default as paint } from "./paint.js";
+import { default as sound } from "./sound.js";
 
-export default function (data) {
+export default function (data, script) {
   var feature = new Feature(data);
   feature.self = self(data.id);
-  feature.traps = traps()
   feature.auth = auth()
   feature.server = server()
+  feature.lifecycle = lifecycle(data.id)
+  feature.traps = traps(feature.lifecycle)
+  feature.redux = redux(data.id, feature.lifecycle)
+  feature.blocks = blocks()
+  feature.storage = storage(data.id)
+  feature.background = background(data.id)
+  feature.broadcast = broadcast(data.id)
+  feature.contextMenu = contextMenu(feature.lifecycle)
+  feature.shortcuts = shortcuts(data.id, feature.lifecycle)
+  feature.ui = ui(feature.lifecycle)
+  feature.spaces = spaces(feature.lifecycle)
+  feature.paint = paint(
+    data.id,
+    feature.lifecycle,
+    feature.redux,
+    feature.spaces
+  )
+  feature.sound = sound(feature.spaces, feature.ui)
+  feature.script = script
+  feature.classes = ScratchTools.classes
   feature.page = {
+    onNavigate: function (callback) {
+      return ScratchTools.onNavigate(function ({ from, to }) {
+        callback({ from, to, matches: feature.page.matches() })
+      })
+    },
+    // Checks the current path against a runOn pattern, or this script's own.
+    matches: function (pattern = script?.runOn) {
+      if (!pattern) return true;
+      return !!window.location.pathname.match(pattern)
+    },
     appendToSharedSpace: ScratchTools.appendToSharedSpace,
     waitForElement: ScratchTools.waitForElement,
     waitForElements: ScratchTools.waitForElements,
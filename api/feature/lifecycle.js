@@ -0,0 +1,127 @@
+export default function (id) {
+  let registrations = [];
+  let managed = [];
+
+  function isLive() {
+    return lifecycle.enabled && lifecycle.attached;
+  }
+
+  function detachAll() {
+    [...registrations].reverse().forEach(function (registration) {
+      registration.detach?.();
+      registration.detach = null;
+    });
+    managed.forEach((element) => element.remove());
+    managed = [];
+  }
+
+  function attachAll() {
+    registrations.forEach(function (registration) {
+      registration.detach = registration.attach() || null;
+    });
+  }
+
+  let lifecycle = {
+    enabled: true,
+    // False while the page's route doesn't match the script's runOn.
+    attached: true,
+    register: function (attach) {
+      let registration = { attach, detach: null };
+      registrations.push(registration);
+      if (isLive()) {
+        registration.detach = attach() || null;
+      }
+      return {
+        remove: function () {
+          registration.detach?.();
+          registration.detach = null;
+          registrations = registrations.filter((el) => el !== registration);
+        },
+      };
+    },
+    setup: function (callback) {
+      return lifecycle.register(callback);
+    },
+    waitForElements: function (selector, callback, options) {
+      return lifecycle.register(function () {
+        let watcher = ScratchTools.waitForElements(selector, callback, options);
+        return () => watcher.remove();
+      });
+    },
+    addEventListener: function (target, event, listener, options) {
+      return lifecycle.register(function () {
+        target.addEventListener(event, listener, options);
+        return () => target.removeEventListener(event, listener, options);
+      });
+    },
+    setInterval: function (callback, delay) {
+      return lifecycle.register(function () {
+        let interval = setInterval(callback, delay);
+        return () => clearInterval(interval);
+      });
+    },
+    on: function (emitter, event, listener) {
+      return lifecycle.register(function () {
+        emitter.on(event, listener);
+        return () => emitter.removeListener(event, listener);
+      });
+    },
+    onVm: function (event, listener) {
+      return lifecycle.on(ScratchTools.Scratch.vm.runtime, event, listener);
+    },
+    onRedux: function (listener) {
+      let callback = (e) => listener(e.detail);
+      // Pages that aren't React apps, like the forums, have no store.
+      let target = window.__steRedux?.target;
+      if (!target) return { remove: function () {} };
+      return lifecycle.addEventListener(target, "statechanged", callback);
+    },
+    addStyle: function (css) {
+      return lifecycle.register(function () {
+        let style = document.createElement("style");
+        style.textContent = css;
+        style.dataset.feature = id;
+        document.head.appendChild(style);
+        return () => style.remove();
+      });
+    },
+    manage: function (element) {
+      managed.push(element);
+      if (!isLive()) {
+        element.remove();
+      }
+      return element;
+    },
+    onDisable: function (callback) {
+      addFeatureCallback(allDisableFunctions, id, callback);
+    },
+    onEnable: function (callback) {
+      addFeatureCallback(allEnableFunctions, id, callback);
+    },
+    disable: function () {
+      if (!lifecycle.enabled) return;
+      if (isLive()) detachAll();
+      lifecycle.enabled = false;
+    },
+    enable: function () {
+      if (lifecycle.enabled) return;
+      lifecycle.enabled = true;
+      if (isLive()) attachAll();
+    },
+    detach: function () {
+      if (!lifecycle.attached) return;
+      if (isLive()) detachAll();
+      lifecycle.attached = false;
+    },
+    attach: function () {
+      if (lifecycle.attached) return;
+      lifecycle.attached = true;
+      if (isLive()) attachAll();
+    },
+  };
+
+  addFeatureCallback(allDisableFunctions, id, lifecycle.disable);
+  addFeatureCallback(allEnableFunctions, id, lifecycle.enable);
+
+  return lifecycle;
+}
@@ -0,0 +1,132 @@
+export default function (id, lifecycle, redux, spaces) {
+  let scratchClass = (name) => ScratchTools.classes.get(name) || "";
+
+  // Buttons' callbacks are often edits, which are asynchronous, so what they
+  // throw is reported instead of being left unhandled.
+  async function runCallback(callback, e) {
+    try {
+      await callback(e);
+    } catch (err) {
+      ste.console.error(err?.message || String(err), id);
+    }
+  }
+
+  function getState() {
+    return redux.getState().scratchPaint;
+  }
+
+  function createIcon(icon, label, className) {
+    let img = document.createElement("img");
+    img.src = icon;
+    img.className = scratchClass(className);
+    img.alt = label;
+    img.title = label;
+    img.draggable = false;
+    return img;
+  }
+
+  // Re-checks whether a button can be used whenever the paint editor changes.
+  function trackEnabled(element, enabled) {
+    function update() {
+      let disabledClass = scratchClass("button_mod-disabled_");
+      let isEnabled = !!enabled(getState() || {});
+      if (disabledClass) element.classList.toggle(disabledClass, !isEnabled);
+      element.classList.toggle("disabled", !isEnabled);
+      element.ariaDisabled = !isEnabled;
+    }
+    update();
+    redux.onAction("scratch-paint/*", update);
+    return update;
+  }
+
+  let paint = {
+    getState,
+    getPaper: ScratchTools.Scratch.getPaper,
+    // Calls back with (items, previous) when the selected items change.
+    onSelectionChange: function (callback) {
+      return redux.select(
+        (state) => state.scratchPaint.selectedItems || [],
+        callback
+      );
+    },
+    // Runs an edit on paper.js with (paper, selectedItems), then records the
+    // result as one step in the paint editor's undo history. The undo step is
+    // recorded through the active tool, so without one nothing is edited.
+    edit: async function (callback) {
+      let paper = await paint.getPaper();
+      if (!paper) return;
+      if (!paper.tool?.onUpdateImage) {
+        throw new Error(
+          "The paint editor has no active tool to record the edit with."
+        );
+      }
+      // Recorded even if the callback throws partway, so it can be undone.
+      try {
+        return await callback(paper, getState()?.selectedItems || []);
+      } finally {
+        paper.tool.onUpdateImage();
+      }
+    },
+    // Adds a labelled button to the row of tools for the current mode, next to
+    // copy, paste and delete. Options: label, icon, onClick, order and enabled
+    // (a function of the paint editor state).
+    addToolbarButton: function ({
+      label,
+      icon,
+      onClick,
+      order = 0,
+      enabled = () => true,
+      className,
+    }) {
+      let button = document.createElement("span");
+      button.className = `${scratchClass("button_button_")} ${scratchClass(
+        "labeled-icon-button_mod-edit-field_"
+      )}`;
+      if (className) button.classList.add(className);
+      button.role = "button";
+      button.appendChild(
+        createIcon(icon, label, "labeled-icon-button_edit-field-icon_")
+      );
+      let title = document.createElement("span");
+      title.textContent = label;
+      title.className = scratchClass("labeled-icon-button_edit-field-title_");
+      button.appendChild(title);
+
+      let update = trackEnabled(button, enabled);
+      button.addEventListener("click", function (e) {
+        if (button.ariaDisabled === "true") return;
+        runCallback(onClick, e);
+      });
+      spaces.add({ space: "paintModeTools", element: button, order });
+      return { element: button, update };
+    },
+    // Adds a button to the column of drawing modes on the left. Options:
+    // label, icon, onClick and order. The returned setSelected marks it as the
+    // current mode.
+    addModeButton: function ({ label, icon, onClick, order = 0, className }) {
+      let button = document.createElement("span");
+      button.className = `${scratchClass("button_button_")} ${scratchClass(
+        "tool-select-base_mod-tool-select_"
+      )}`;
+      if (className) button.classList.add(className);
+      button.role = "button";
+      button.appendChild(
+        createIcon(icon, label, "tool-select-base_tool-select-icon_")
+      );
+      button.addEventListener("click", (e) => runCallback(onClick, e));
+      spaces.add({ space: "paintModeSelector", element: button, order });
+      return {
+        element: button,
+        setSelected: function (selected) {
+          let selectedClass = scratchClass("tool-select-base_is-selected_");
+          if (selectedClass) button.classList.toggle(selectedClass, selected);
+        },
+      };
+    },
+    // Adds any element to the row above the canvas, beside the costume name.
+    addControl: function ({ element, order = 0 }) {
+      return spaces.add({ space: "paintToolbar", element, order });
+    },
+  };
+  return paint;
+}
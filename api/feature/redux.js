@@ -0,0 +1,80 @@
+// Actions any feature may dispatch. Features that need others list them in
+// data.json as "redux": { "dispatch": [...] }.
+const DISPATCH_ALLOWLIST = [
+  "scratch-gui/navigation/ACTIVATE_TAB",
+  "scratch-gui/modals/OPEN_MODAL",
+  "scratch-gui/modals/CLOSE_MODAL",
+  "scratch-gui/StageSize/SET_STAGE_SIZE",
+  "scratch-gui/project-changed/SET_PROJECT_CHANGED",
+  "projectTitle/SET_PROJECT_TITLE",
+  "scratch-paint/clipboard/SET",
+];
+
+// Types are matched exactly, or by prefix when they end in "*", e.g.
+// "scratch-paint/*".
+function matchesType(pattern, type) {
+  if (Array.isArray(pattern)) {
+    return pattern.some((el) => matchesType(el, type));
+  }
+  if (pattern.endsWith("*")) return type?.startsWith(pattern.slice(0, -1));
+  return pattern === type;
+}
+
+function runSelector(selector, state) {
+  // Most slices only exist on some pages, so a missing one reads as undefined.
+  try {
+    return selector(state);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+export default function (id, lifecycle) {
+  let redux = window.__steRedux || {};
+  let data = ScratchTools.Features.data.find((el) => el.id === id);
+  let allowed = [...DISPATCH_ALLOWLIST, ...(data?.redux?.dispatch || [])];
+
+  return {
+    target: redux.target,
+    get state() {
+      return redux.state;
+    },
+    getState: () => redux.getState?.(),
+    dispatch: function (action) {
+      if (!allowed.includes(action?.type)) {
+        throw new Error(
+          `${id} can't dispatch "${action?.type}". ` +
+            `Add it to "redux.dispatch" in its data.json.`
+        );
+      }
+      return redux.dispatch(action);
+    },
+    // Calls back with (value, previous) whenever the selected part of the
+    // state changes. Options: equals (defaults to Object.is) and immediate
+    // (also call back with the current value, including after re-enabling).
+    select: function (selector, callback, options = {}) {
+      let equals = options.equals || Object.is;
+      // Pages that aren't React apps, like the forums, have no store.
+      if (!redux.target) return { remove: function () {} };
+      return lifecycle.register(function () {
+        let value = runSelector(selector, redux.getState());
+        if (options.immediate) callback(value, undefined);
+        let listener = function (e) {
+          let selected = runSelector(selector, e.detail.next);
+          if (equals(selected, value)) return;
+          let previous = value;
+          value = selected;
+          callback(selected, previous);
+        };
+        redux.target.addEventListener("statechanged", listener);
+        return () => redux.target.removeEventListener("statechanged", listener);
+      });
+    },
+    // Calls back with (action, { prev, next }) after matching actions.
+    onAction: function (type, callback) {
+      return lifecycle.onRedux(function ({ action, prev, next }) {
+        if (matchesType(type, action.type)) callback(action, { prev, next });
+      });
+    },
+  };
+}
@@ -1,8 +1,22 @@
 export default function (id) {
-    return {
-        url: "https://data.scratchtools.app",
-        endpoint: function(path) {
-            return "https://data.scratchtools.app" + path
-        },
-    }
-}
\ No newline at end of file
+  let server = {
+    // The base URL set in the popup, which is "mock" for the mock server.
+    get url() {
+      return (
+        ScratchTools.server.normalizeUrl(ScratchTools.Storage.serverUrl) ||
+        ScratchTools.server.DEFAULT_URL
+      );
+    },
+    // For files on the server, like fonts and images. Throws when the mock
+    // server is in use.
+    endpoint: function (path) {
+      return ScratchTools.server.toFileUrl(server.url, path);
+    },
+    ENDPOINTS: ScratchTools.server.ENDPOINTS,
+    isMock: ScratchTools.server.isMock,
+    fetch: ScratchTools.server.fetch,
+    get: ScratchTools.server.get,
+    post: ScratchTools.server.post,
+  };
+  return server;
+}
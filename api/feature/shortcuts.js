@@ -0,0 +1,20 @@
+export default function (id, lifecycle) {
+  return {
+    // Runs callback when the user presses the binding for a shortcut declared
+    // in this feature's data.json.
+    on: function (shortcut, callback, options) {
+      return lifecycle.register(function () {
+        let registered = ScratchTools.registerShortcut(id, shortcut, {
+          ...options,
+          callback,
+        });
+        return () => registered.remove();
+      });
+    },
+    get: (shortcut) => ScratchTools.shortcuts.get(id, shortcut),
+    format: (shortcut) =>
+      ScratchTools.options.formatKeybinding(
+        ScratchTools.shortcuts.get(id, shortcut)
+      ),
+  };
+}
@@ -0,0 +1,127 @@
+export default function (spaces, ui) {
+  let scratchClass = (name) => ScratchTools.classes.get(name) || "";
+
+  function getEditor() {
+    return ScratchTools.Scratch.scratchSound();
+  }
+
+  // The sound editor keeps its audio in an AudioBufferPlayer, since the
+  // samples in its props can be detached by the browser.
+  function getSamples(editor) {
+    return (
+      editor.copyCurrentBuffer?.() || {
+        samples: editor.props.samples,
+        sampleRate: editor.props.sampleRate,
+      }
+    );
+  }
+
+  let sound = {
+    getEditor,
+    // Runs process(audioBuffer, values) on the selected part of the sound, or
+    // all of it, and replaces that part with the AudioBuffer it returns (which
+    // may be a different length). Goes through the editor, so it can be undone.
+    apply: async function (process, values) {
+      let editor = getEditor();
+      if (!editor) return false;
+      let { samples, sampleRate } = getSamples(editor);
+      let { trimStart, trimEnd } = editor.state;
+      let start =
+        trimStart === null ? 0 : Math.floor(trimStart * samples.length);
+      let end =
+        trimEnd === null
+          ? samples.length
+          : Math.floor(trimEnd * samples.length);
+      if (end <= start) return false;
+
+      let input = new AudioBuffer({
+        length: end - start,
+        numberOfChannels: 1,
+        sampleRate,
+      });
+      input.copyToChannel(samples.slice(start, end), 0);
+      let output = await process(input, values);
+      if (!output) return false;
+      if (output.sampleRate !== sampleRate) {
+        throw new Error("Sound effects can't change the sample rate.");
+      }
+
+      let processed = output.getChannelData(0);
+      let result = new Float32Array(
+        start + processed.length + samples.length - end
+      );
+      if (!result.length) return false;
+      result.set(samples.subarray(0, start));
+      result.set(processed, start);
+      result.set(samples.subarray(end), start + processed.length);
+      editor.submitNewSamples(result, sampleRate);
+      if (trimStart !== null) {
+        editor.setState({
+          trimStart: start / result.length,
+          trimEnd: (start + processed.length) / result.length,
+        });
+      }
+      return true;
+    },
+    // Adds a button to the row of effects below the sound. Options: name,
+    // icon, onClick and order.
+    addEffectButton: function ({ name, icon, onClick, order = 0, className }) {
+      let button = document.createElement("div");
+      button.className = `${scratchClass(
+        "icon-button_container_"
+      )} ${scratchClass("sound-editor_effect-button_")}`;
+      if (className) button.classList.add(className);
+      button.role = "button";
+      button.tabIndex = 0;
+      button.addEventListener("click", onClick);
+
+      let img = document.createElement("img");
+      img.src = icon;
+      img.draggable = false;
+      button.appendChild(img);
+
+      let title = document.createElement("div");
+      title.className = scratchClass("icon-button_title_");
+      title.textContent = name;
+      button.appendChild(title);
+
+      spaces.add({ space: "soundEffects", element: button, order });
+      return { element: button };
+    },
+    // Adds an effect button that runs process(audioBuffer, values) through
+    // sound.apply. When fields are given (as for feature.ui.form), they're
+    // asked for first and passed as values.
+    registerEffect: function ({
+      name,
+      icon,
+      process,
+      fields,
+      order,
+      className,
+    }) {
+      return sound.addEffectButton({
+        name,
+        icon,
+        order,
+        className,
+        onClick: async function () {
+          let values = {};
+          if (fields?.length) {
+            values = await ui.form({
+              title: name,
+              fields,
+              submitLabel: "Apply",
+            });
+            if (!values) return;
+          }
+          try {
+            await sound.apply(process, values);
+          } catch (err) {
+            ui.toast({ title: name, message: err.message });
+          }
+        },
+      });
+    },
+  };
+  return sound;
+}
@@ -0,0 +1,14 @@
+export default function (lifecycle) {
+  return {
+    define: ScratchTools.spaces.define,
+    has: ScratchTools.spaces.has,
+    // The element is taken out while the feature is disabled or its page is
+    // left, and put back when it returns.
+    add: function (options) {
+      return lifecycle.register(function () {
+        let item = ScratchTools.spaces.add(options);
+        return () => item.remove();
+      });
+    },
+  };
+}
@@ -0,0 +1,46 @@
+export default function (id) {
+  let data = ScratchTools.Features.data.find((el) => el.id === id);
+
+  function area(name) {
+    function request(action, key, value) {
+      return ScratchTools.sendMessage("feature-storage", {
+        feature: id,
+        area: name,
+        action,
+        key,
+        value,
+      });
+    }
+    return {
+      get: (key) => request("get", key),
+      set: (key, value) => request("set", key, value),
+      remove: (key) => request("remove", key),
+      clear: () => request("clear"),
+      getBytesInUse: () => request("usage"),
+    };
+  }
+
+  let defaultArea = data?.storage?.area || "sync";
+  let storage = {
+    ...area(defaultArea),
+    area: defaultArea,
+    sync: area("sync"),
+    local: area("local"),
+    // Runs every migration newer than the stored schema version in order,
+    // e.g. migrate({ 1: async (storage) => {...}, 2: ... }).
+    migrate: async function (migrations) {
+      let version = (await storage.get("__version")) || 0;
+      let versions = Object.keys(migrations)
+        .map(Number)
+        .filter((el) => el > version)
+        .sort((a, b) => a - b);
+      for (let next of versions) {
+        await migrations[next](storage);
+        await storage.set("__version", next);
+        version = next;
+      }
+      return version;
+    },
+  };
+  return storage;
+}
@@ -1,4 +1,4 @@
-export default function () {
+export default function (lifecycle) {
   return {
     vm: ScratchTools.Scratch.vm,
     blockly: ScratchTools.Scratch.blockly,
@@ -7,5 +7,14 @@ export default function () {
     sound: ScratchTools.Scratch.scratchSound,
     blocks: ScratchTools.traps.getScratchBlocks,
     getPaper: ScratchTools.Scratch.getPaper,
+    events: ScratchTools.vmEvents.TYPES,
+    // Listens for one of the events in traps.events. The listener is removed
+    // while the feature is disabled or its page is left.
+    on: function (type, listener) {
+      return lifecycle.register(function () {
+        let subscription = ScratchTools.vmEvents.on(type, listener);
+        return () => subscription.remove();
+      });
+    },
   };
 }
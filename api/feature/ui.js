@@ -0,0 +1,26 @@
+export default function (lifecycle) {
+  let controller = new AbortController();
+
+  // Dialogs and toasts a feature leaves open are dismissed when it is
+  // disabled or its page is left.
+  lifecycle.register(function () {
+    return function () {
+      controller.abort();
+      controller = new AbortController();
+    };
+  });
+
+  function withSignal(options) {
+    if (typeof options === "string") options = { message: options };
+    return { ...options, signal: controller.signal };
+  }
+
+  return {
+    open: (options) => ScratchTools.ui.open(withSignal(options)),
+    alert: (options) => ScratchTools.ui.alert(withSignal(options)),
+    confirm: (options) => ScratchTools.ui.confirm(withSignal(options)),
+    prompt: (options) => ScratchTools.ui.prompt(withSignal(options)),
+    form: (options) => ScratchTools.ui.form(withSignal(options)),
+    toast: (options) => ScratchTools.ui.toast(withSignal(options)),
+  };
+}
@@ -0,0 +1,112 @@
+var ScratchTools = ScratchTools || {};
+
+// Features can be turned off, by the kill switch or after crashing, on one
+// type of page: "Editor" for the project editor and "Website" for the rest.
+// Pages load this before the API, so they work out their type the same way.
+ScratchTools.getPageType = function (url) {
+  return /^https:\/\/scratch\.mit\.edu\/projects\/[^/]+\/editor/.test(url || "")
+    ? "Editor"
+    : "Website";
+};
+
+// Features that break can be turned off remotely through the list at URL.
+// Each entry is either a feature id, which turns it off everywhere, or
+// { feature, versions, pages, reason }. versions is a range of extension
+// versions such as ">=4.2.0 <4.3.1", with alternatives separated by "||", and
+// pages lists the page types ("Editor" or "Website") it applies to. Leaving
+// either out matches every version or page. Shared by the service worker,
+// which fetches and caches the list, and the popup, which shows the reason.
+ScratchTools.killSwitch = {
+  URL: "https://raw.githubusercontent.com/STForScratch/data/main/disabled.json",
+  // How often the list is fetched, in minutes.
+  PERIOD: 30,
+  // Turns a fetched list into entries, throwing if it isn't a list at all and
+  // leaving out entries that can't be understood.
+  normalize: function (list) {
+    if (!Array.isArray(list)) {
+      throw new TypeError("The kill switch list has to be an array.");
+    }
+    return list
+      .map((entry) =>
+        typeof entry === "string" ? { feature: entry } : entry || {}
+      )
+      .filter(
+        (entry) =>
+          typeof entry.feature === "string" &&
+          (entry.versions === undefined ||
+            typeof entry.versions === "string") &&
+          (entry.pages === undefined || Array.isArray(entry.pages))
+      )
+      .map((entry) => ({
+        feature: entry.feature,
+        versions: entry.versions || null,
+        pages: entry.pages || null,
+        reason: typeof entry.reason === "string" ? entry.reason : null,
+      }));
+  },
+  // Compares versions like "4.3.0" and "4.3.0-beta", where a pre-release
+  // comes before the release it leads up to.
+  compareVersions: function (a, b) {
+    var [aRelease, aPre] = a.replace(/^v/, "").split("-");
+    var [bRelease, bPre] = b.replace(/^v/, "").split("-");
+    var aParts = aRelease.split(".").map(Number);
+    var bParts = bRelease.split(".").map(Number);
+    for (var i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+      var difference = (aParts[i] || 0) - (bParts[i] || 0);
+      if (difference) return Math.sign(difference);
+    }
+    if (aPre === bPre) return 0;
+    if (aPre === undefined) return 1;
+    if (bPre === undefined) return -1;
+    return aPre < bPre ? -1 : 1;
+  },
+  matchesVersion: function (version, range) {
+    if (!range) return true;
+    return range.split("||").some(function (alternative) {
+      return alternative
+        .trim()
+        .split(/\s+/)
+        .every(function (comparator) {
+          if (!comparator || comparator === "*") return true;
+          var [, operator, target] = comparator.match(/^(>=|<=|>|<|=)?(.+)$/);
+          var result = ScratchTools.killSwitch.compareVersions(version, target);
+          switch (operator) {
+            case ">=":
+              return result >= 0;
+            case "<=":
+              return result <= 0;
+            case ">":
+              return result > 0;
+            case "<":
+              return result < 0;
+            default:
+              return result === 0;
+          }
+        });
+    });
+  },
+  // The entry turning a feature off, if there is one. Without a pageType, an
+  // entry for any page counts.
+  find: function (entries, feature, { version, pageType } = {}) {
+    return (
+      (entries || []).find(
+        (entry) =>
+          entry.feature === feature &&
+          (!version ||
+            ScratchTools.killSwitch.matchesVersion(version, entry.versions)) &&
+          (!pageType || !entry.pages || entry.pages.includes(pageType))
+      ) || null
+    );
+  },
+  // Maps each feature turned off for this version and page type to its
+  // reason.
+  getKilled: function (entries, options) {
+    var killed = {};
+    (entries || []).forEach(function (entry) {
+      if (ScratchTools.killSwitch.find([entry], entry.feature, options)) {
+        killed[entry.feature] = entry.reason;
+      }
+    });
+    return killed;
+  },
+};
@@ -0,0 +1,185 @@
+// Features still listed in features.json as a single file run here instead of
+// as page globals. Each one runs inside a function with its own scope and gets
+// a generated Feature v2 context. The page elements, styles, intervals,
+// timeouts, document listeners and waitForElements watchers it creates belong
+// to that context's lifecycle, so they're cleaned up when the feature is
+// disabled. Properties it sets on document, like the flags older features use
+// to avoid running twice, stay in the sandbox. Enabling it again runs the file
+// in a new sandbox, as a reload would.
+ScratchTools.legacyFeatures = {};
+
+// What a legacy script sets up in other ways, like listeners on the VM or the
+// window, can't be undone without a reload.
+const LEGACY_DISABLE_WARNING =
+  "This feature uses the old feature format, so only the elements, styles, " +
+  "intervals, timeouts, document listeners and waitForElements watchers it " +
+  "added were removed. Anything else it set up keeps running until the page " +
+  "reloads.";
+
+async function runLegacy(id) {
+  var data = ScratchTools.Features.data.find((el) => el.id === id);
+  if (!data) return;
+  // Claimed before loading, so it can't start twice.
+  ScratchTools.legacyFeatures[id] = null;
+  var url = `${ScratchTools.dir}/features/${id}.js`;
+  try {
+    var source = await (await fetch(url)).text();
+  } catch (err) {
+    delete ScratchTools.legacyFeatures[id];
+    reportFeatureError(id, err);
+    return;
+  }
+  var { default: createFeature } = await import(
+    ScratchTools.dir + "/api/feature/index.js"
+  );
+  var feature = createFeature(data, { file: url, feature: data });
+  ScratchTools.legacyFeatures[id] = feature;
+  allFeatures.push(feature);
+
+  function cleanUp(detach) {
+    feature.lifecycle.register(() => detach);
+  }
+
+  // Elements count once they're put on the page, and stop counting when
+  // they're taken off it, so ones that are built and thrown away aren't kept.
+  var created = new WeakSet();
+  var inserted = new Set();
+  function updateInserted(mutations) {
+    mutations.forEach(function (mutation) {
+      mutation.addedNodes.forEach(function (node) {
+        if (created.has(node)) inserted.add(node);
+      });
+    });
+    inserted.forEach(function (element) {
+      if (!element.isConnected) inserted.delete(element);
+    });
+  }
+  var observer = new MutationObserver(updateInserted);
+  observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+  });
+  cleanUp(function () {
+    updateInserted(observer.takeRecords());
+    observer.disconnect();
+    inserted.forEach((element) => element.remove());
+    inserted.clear();
+  });
+
+  function track(element) {
+    created.add(element);
+    if (element.isConnected) inserted.add(element);
+    return element;
+  }
+
+  // document properties that don't exist on the real document, like flags.
+  var expandos = {};
+
+  var sandbox = {
+    feature,
+    console: Object.assign(Object.create(console), {
+      log: (content) => ste.console.log(content, id),
+      warn: (content) => ste.console.warn(content, id),
+      error: (content) => ste.console.error(content, id),
+    }),
+    ScratchTools: Object.assign(Object.create(ScratchTools), {
+      // Disable functions are kept alongside the context's own, instead of
+      // replacing them.
+      setDisable: function (featureId, callback) {
+        addFeatureCallback(allDisableFunctions, featureId, callback);
+      },
+      waitForElements: function (selector, callback, options) {
+        var watcher = ScratchTools.waitForElements(selector, callback, options);
+        cleanUp(() => watcher.remove());
+        return watcher;
+      },
+      styles: Object.assign(Object.create(ScratchTools.styles), {
+        add: (css, styleId) => track(ScratchTools.styles.add(css, styleId)),
+      }),
+    }),
+    document: new Proxy(document, {
+      get: function (target, key) {
+        if (key in expandos) return expandos[key];
+        var value = Reflect.get(target, key, target);
+        if (key === "createElement" || key === "createElementNS") {
+          return (...args) => track(value.apply(target, args));
+        }
+        if (key === "addEventListener") {
+          return function (...args) {
+            target.addEventListener(...args);
+            cleanUp(() => target.removeEventListener(...args));
+          };
+        }
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+      set: function (target, key, value) {
+        if (key in expandos || !(key in target)) {
+          expandos[key] = value;
+          return true;
+        }
+        return Reflect.set(target, key, value, target);
+      },
+      has: (target, key) => key in expandos || key in target,
+    }),
+    setInterval: function (...args) {
+      var interval = setInterval(...args);
+      cleanUp(() => clearInterval(interval));
+      return interval;
+    },
+    setTimeout: function (callback, delay, ...args) {
+      if (typeof callback !== "function") {
+        return setTimeout(callback, delay, ...args);
+      }
+      var registration;
+      var timeout = setTimeout(function () {
+        registration.remove();
+        callback(...args);
+      }, delay);
+      registration = feature.lifecycle.register(
+        () => () => clearTimeout(timeout)
+      );
+      return timeout;
+    },
+    GM_addStyle: (css) => track(GM_addStyle(css)),
+  };
+
+  // Once disabled, this sandbox is finished with. The callbacks it added are
+  // dropped, so enabling the feature again starts from nothing.
+  feature.lifecycle.onDisable(function () {
+    allDisableFunctions[id] = [];
+    allEnableFunctions[id] = [];
+    allFeatures = allFeatures.filter((el) => el !== feature);
+    delete ScratchTools.legacyFeatures[id];
+    ste.console.warn(LEGACY_DISABLE_WARNING, id);
+  });
+
+  try {
+    var run = new Function(
+      ...Object.keys(sandbox),
+      `${source}\n//# sourceURL=${url}`
+    );
+    run.apply(window, Object.values(sandbox));
+  } catch (err) {
+    reportFeatureError(id, err);
+  }
+}
+
+ScratchTools.injectLegacy = async function (id) {
+  if (id in (ScratchTools.killed || {})) {
+    ste.console.warn(
+      `Skipped ${id}, which was turned off remotely. ${
+        ScratchTools.killed[id] || ""
+      }`,
+      "ste-main"
+    );
+    return;
+  }
+  ScratchTools.quarantined = (ScratchTools.quarantined || []).filter(
+    (el) => el !== id
+  );
+  ScratchTools.disabledFeatures = ScratchTools.disabledFeatures.filter(
+    (el) => el !== id
+  );
+  if (id in ScratchTools.legacyFeatures) return;
+  await runLegacy(id);
+};
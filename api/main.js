@@ -68,7 +68,8 @@ var ste = {
   },
 };
 
-var ScratchTools = {};
+// Only the shared page type helper is loaded before this.
+var ScratchTools = { getPageType: ScratchTools.getPageType };
 ScratchTools.managedElements = [];
 ScratchTools.Storage = {};
 ScratchTools.Resources = {};
@@ -90,26 +91,91 @@ async function updateCSSFiles() {
       data: await (await fetch(activeCSSFiles[i])).text(),
     });
   }
+  if (activeCSSFiles.length) {
+    ScratchTools.classes?.refresh();
+  }
 }
 
-if (
-  window.location.href.startsWith("https://scratch.mit.edu/projects/") &&
-  window.location.href.includes("/editor")
-) {
-  ScratchTools.type = "Editor";
-} else {
-  ScratchTools.type = "Website";
+ScratchTools.type = ScratchTools.getPageType(window.location.href);
+
+// Scratch's React pages change routes with the History API instead of
+// reloading, so pushState and replaceState are wrapped to notice it.
+let navigationListeners = []
+let lastPath = window.location.pathname
+ScratchTools.onNavigate = function(callback) {
+  navigationListeners.push(callback)
+  return {
+    remove: function() {
+      navigationListeners = navigationListeners.filter((el) => el !== callback)
+    },
+  }
+}
+function checkNavigation() {
+  if (window.location.pathname === lastPath) return;
+  let from = lastPath
+  lastPath = window.location.pathname
+  ScratchTools.type = ScratchTools.getPageType(window.location.href)
+  navigationListeners.forEach(function(callback) {
+    callback({ from, to: lastPath })
+  })
 }
+;["pushState", "replaceState"].forEach(function(method) {
+  let original = history[method]
+  history[method] = function(...args) {
+    let result = original.apply(this, args)
+    checkNavigation()
+    return result
+  }
+})
+window.addEventListener("popstate", checkNavigation)
 
 ScratchTools.MESSAGES = []
-ScratchTools.sendMessage = function(id, content) {
+// Calls a handler registered with registerMessageHandler() in the service
+// worker. Pass { timeout: null } for requests that wait on the user.
+ScratchTools.sendMessage = function(id, content, { timeout = 30000 } = {}) {
   let uuid = UUID()
-  chrome.runtime.sendMessage(ScratchTools.id, { message: id, content, source: "message-api", uuid });
   return new Promise((resolve, reject) => {
-    ScratchTools.MESSAGES.push({ message: id, source: "message-api", uuid, resolve });
+    let pending = { message: id, source: "message-api", uuid, resolve, reject }
+    ScratchTools.MESSAGES.push(pending)
+    function finish() {
+      clearTimeout(timer)
+      ScratchTools.MESSAGES = ScratchTools.MESSAGES.filter((el) => el !== pending)
+    }
+    let timer = timeout && setTimeout(function() {
+      finish()
+      reject(Object.assign(new Error(`"${id}" timed out after ${timeout}ms.`), { name: "TimeoutError" }))
+    }, timeout)
+    chrome.runtime.sendMessage(ScratchTools.id, { message: id, content, source: "message-api", uuid }, function(response) {
+      if (!ScratchTools.MESSAGES.includes(pending)) return;
+      finish()
+      if (!response) {
+        reject(new Error(chrome.runtime.lastError?.message || `"${id}" got no response.`))
+      } else if (response.error) {
+        reject(Object.assign(new Error(response.error.message), response.error))
+      } else {
+        resolve(response.data)
+      }
+    });
   });
 }
 
+// Events pushed from the service worker, such as alarms firing.
+let messageListeners = []
+ScratchTools.onMessage = function(event, callback) {
+  let listener = { event, callback }
+  messageListeners.push(listener)
+  return {
+    remove: function() {
+      messageListeners = messageListeners.filter((el) => el !== listener)
+    },
+  }
+}
+ScratchTools.receiveMessage = function(event, data) {
+  messageListeners.filter((el) => el.event === event).forEach(function(el) {
+    el.callback(data)
+  })
+}
+
 function UUID() {
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (char) {
       const random = Math.random() * 16 | 0;
@@ -118,20 +184,15 @@ function UUID() {
   });
 }
 
-var storagePromises = [];
 ScratchTools.storage = {
   get: async function (key) {
-    chrome.runtime.sendMessage(ScratchTools.id, { message: "storageGet", key });
-    return new Promise((resolve, reject) => {
-      storagePromises.push({ key: key, resolve });
-    });
+    return await ScratchTools.sendMessage("storage-get", { key });
   },
   set: async function ({ key, value }) {
-    chrome.runtime.sendMessage(ScratchTools.id, {
-      message: "storageSet",
-      key,
-      value,
-    });
+    await ScratchTools.sendMessage("storage-set", { key, value });
+  },
+  remove: async function (key) {
+    await ScratchTools.sendMessage("storage-remove", { key });
   },
 };
 
@@ -139,23 +200,29 @@ let waitForSingleElements = [];
 
 var allWaitInstances = {};
 let totalRunners = 0;
-ScratchTools.waitForElements = function (selector, callback) {
+// Options: root limits matches to one element's subtree, and attributes also
+// rechecks elements whose attributes change. The third argument used to be a
+// name, so strings are ignored.
+ScratchTools.waitForElements = function (selector, callback, options) {
+  if (typeof options !== "object" || options === null) options = {};
   totalRunners += 1;
   var thisRunner = "wait-" + (totalRunners - 1).toString();
   while (allWaitInstances[thisRunner]) {
     totalRunners += 1;
     thisRunner = "wait-" + (totalRunners - 1).toString();
   }
-  allWaitInstances[thisRunner] = {
+  var waitInstance = (allWaitInstances[thisRunner] = {
     selector,
     callback,
-    elements: [],
-  };
-  returnScratchToolsSelectorsMutationObserverCallbacks();
+    root: options.root || document,
+    attributes: !!options.attributes,
+    seen: new WeakSet(),
+  });
+  checkWaitInstance(waitInstance, waitInstance.root);
   return {
     id: thisRunner,
     remove: function () {
-      allWaitInstances[thisRunner].removed = true;
+      delete allWaitInstances[thisRunner];
     },
   };
 };
@@ -181,9 +248,15 @@ ScratchTools.waitForElement = async function (selector) {
   });
 };
 
+// Mutations are queued and handled once per animation frame. Only the added
+// subtrees are searched, and attribute changes only for watchers asking.
+let pendingNodes = new Set();
+let pendingAttributes = new Set();
+let flushScheduled = false;
+
 function enableScratchToolsSelectorsMutationObserver() {
   var ScratchToolsSelectorsMutationObserver = new MutationObserver(
-    returnScratchToolsSelectorsMutationObserverCallbacks
+    queueScratchToolsSelectorsMutations
   );
   ScratchToolsSelectorsMutationObserver.observe(
     document.querySelector("html"),
@@ -192,95 +265,89 @@ function enableScratchToolsSelectorsMutationObserver() {
 }
 
 enableScratchToolsSelectorsMutationObserver();
+updateCSSFiles();
 
-function returnScratchToolsSelectorsMutationObserverCallbacks() {
-  updateCSSFiles()
-  Object.keys(allWaitInstances).forEach(function (key) {
-    var waitInstance = allWaitInstances[key];
-    if (!waitInstance.removed) {
-      document.querySelectorAll(waitInstance.selector).forEach(function (el) {
-        if (!waitInstance.elements?.includes(el)) {
-          allWaitInstances[key].elements.push(el);
-          waitInstance.callback(el);
-        }
+function queueScratchToolsSelectorsMutations(mutations) {
+  mutations.forEach(function (mutation) {
+    if (mutation.type === "attributes") {
+      pendingAttributes.add(mutation.target);
+    } else {
+      mutation.addedNodes.forEach(function (node) {
+        if (node.nodeType === Node.ELEMENT_NODE) pendingNodes.add(node);
       });
     }
   });
+  if (flushScheduled) return;
+  flushScheduled = true;
+  // Animation frames don't run in background tabs.
+  if (document.hidden) {
+    setTimeout(returnScratchToolsSelectorsMutationObserverCallbacks, 100);
+  } else {
+    requestAnimationFrame(returnScratchToolsSelectorsMutationObserverCallbacks);
+  }
+}
+
+function checkWaitInstance(waitInstance, node) {
+  if (waitInstance.root !== document && !waitInstance.root.contains(node)) {
+    if (!node.contains?.(waitInstance.root)) return;
+    node = waitInstance.root;
+  }
+  var matches = [...node.querySelectorAll(waitInstance.selector)];
+  if (node.matches?.(waitInstance.selector)) matches.unshift(node);
+  matches.forEach(function (el) {
+    if (waitInstance.seen.has(el)) return;
+    if (waitInstance.root !== document && el === waitInstance.root) return;
+    waitInstance.seen.add(el);
+    waitInstance.callback(el);
+  });
+}
+
+function returnScratchToolsSelectorsMutationObserverCallbacks() {
+  flushScheduled = false;
+  var nodes = [...pendingNodes].filter((node) => node.isConnected);
+  var attributeTargets = [...pendingAttributes].filter(
+    (node) => node.isConnected
+  );
+  pendingNodes.clear();
+  pendingAttributes.clear();
+
+  if (
+    nodes.some(
+      (node) =>
+        node.matches("link[rel=stylesheet], style") ||
+        node.querySelector("link[rel=stylesheet], style")
+    )
+  ) {
+    updateCSSFiles();
+  }
+
+  Object.values(allWaitInstances).forEach(function (waitInstance) {
+    nodes.forEach((node) => checkWaitInstance(waitInstance, node));
+    if (waitInstance.attributes) {
+      attributeTargets.forEach((node) => checkWaitInstance(waitInstance, node));
+    }
+  });
+  // Single waits also resolve when a class or attribute starts matching.
+  var changed = [...nodes, ...attributeTargets];
+  if (!changed.length) return;
   waitForSingleElements
     .filter((promise) => !promise.resolved)
     .forEach(function (promise) {
-      if (document.querySelector(promise.selector)) {
+      var el = changed
+        .map((node) =>
+          node.matches(promise.selector)
+            ? node
+            : node.querySelector(promise.selector)
+        )
+        .find((el) => el);
+      if (el) {
         promise.resolved = true;
-        promise.resolve(document.querySelector(promise.selector));
+        promise.resolve(el);
       }
     });
+  waitForSingleElements = waitForSingleElements.filter((el) => !el.resolved);
 }
 
-ScratchTools.createModal = function (titleText, description, buttons) {
-  if (document.querySelector(".scratchtoolsUpdateInfo") === null) {
-    var box = document.createElement("div");
-    box.className = "box scratchtoolsUpdateInfo";
-    var boxHeader = document.createElement("div");
-    boxHeader.className = "box-header";
-    var boxContent = document.createElement("div");
-    boxContent.className = "box-content";
-    box.appendChild(boxHeader);
-    box.appendChild(boxContent);
-    var title = document.createElement("h4");
-    title.textContent = titleText;
-    title.style.color = "#575e75";
-    var p = document.createElement("p");
-    p.innerHTML = description;
-    p.style.color = "#575e75";
-    boxContent.appendChild(p);
-    boxHeader.appendChild(title);
-    box.style.position = "fixed";
-    box.style.left = "2rem";
-    box.style.bottom = "2rem";
-    boxContent.style.padding = "8px 20px";
-    boxHeader.style.padding = "8px 20px";
-    document.body.appendChild(box);
-    boxHeader.style.display = "block";
-    boxHeader.style.clear = "both";
-    boxHeader.style.margin = "0";
-    boxHeader.style.borderTop = "1px solid #fff";
-    boxHeader.style.borderBottom = "1px solid #d9d9d9";
-    boxHeader.style.borderRadius = "10px 10px 0 0";
-    boxHeader.style.backgroundColor = "#f2f2f2";
-    boxHeader.style.padding = "8px 20px";
-    boxHeader.style.height = "20px";
-    boxHeader.style.overflow = "hidden";
-    boxContent.style.backgroundColor = "#fff";
-    box.style.display = "inline-block";
-    box.style.border = "1px solid #d9d9d9";
-    box.style.borderRadius = "10px 10px 0 0";
-    box.style.backgroundColor = "#fff";
-    buttons.forEach(function (el) {
-      var button = document.createElement("button");
-      button.className = "button";
-      button.style.marginRight = "5px";
-      button.textContent = el.label;
-      if (el.type === "link") {
-        var a = document.createElement("a");
-        a.href = el.href;
-        a.target = "_blank";
-        a.appendChild(button);
-        boxContent.appendChild(a);
-      } else {
-        if (el.type === "close") {
-          button.onclick = function () {
-            box.remove();
-          };
-        } else {
-          button.onclick = el.callback;
-        }
-        boxContent.appendChild(button);
-      }
-    });
-    box.style.width = "40vw";
-  }
-};
-
 ScratchTools.Features = {};
 ScratchTools.Features.get = function (search) {
   var all = {};
@@ -291,11 +358,44 @@ ScratchTools.Features.get = function (search) {
 };
 
 var allSettingChangeFunctions = {};
+ScratchTools.updateSetting = function (feature, key, value) {
+  var data = ScratchTools.Features.data?.find(
+    (el) => (el.id || el.file) === feature
+  );
+  var option = data?.options?.find((el) => el.id === key) || {};
+
+  var oldValue = ScratchTools.options.parse(option, ScratchTools.Storage[key]);
+  ScratchTools.Storage[key] = value;
+  value = ScratchTools.options.parse(option, value);
+  allSettingChangeFunctions[feature]
+    ?.filter((el) => el.key === null || el.key === key)
+    .forEach(function (el) {
+      el.callback({ key, value, newValue: value, oldValue });
+    });
+};
+
+// Settings changed from a page, rather than the popup, reach other tabs here.
+ScratchTools.onMessage("setting", function ({ feature, key, value }) {
+  ScratchTools.updateSetting(feature, key, value);
+});
+ScratchTools.broadcastSetting = async function (feature, key, value) {
+  await ScratchTools.sendMessage("broadcast", {
+    event: "setting",
+    data: { feature, key, value },
+  });
+};
 
 var allDisableFunctions = {};
 var allEnableFunctions = {};
+function addFeatureCallback(callbacks, feature, callback) {
+  if (!callbacks[feature]) {
+    callbacks[feature] = [];
+  }
+  callbacks[feature].push(callback);
+}
+// Added alongside the callbacks feature contexts register, not instead of them.
 ScratchTools.setDisable = function (feature, f) {
-  allDisableFunctions[feature] = f;
+  addFeatureCallback(allDisableFunctions, feature, f);
   ste.console.log(`Set disable function for ${feature}.`, "ste-main");
 };
 
@@ -306,7 +406,9 @@ Element.prototype.applyStyles = function (data) {
   });
 };
 
+ScratchTools.disabledFeatures = [];
 ScratchTools.disable = function (feature) {
+  ScratchTools.disabledFeatures.push(feature);
   allFeatures
     .filter((el) => el.self.id === feature)
     .forEach(function (el) {
@@ -321,13 +423,15 @@ ScratchTools.disable = function (feature) {
     });
   ste.console.log(`Disabled ${feature}.`, "ste-main");
   document
-    .querySelectorAll(`link[data-feature=${feature}]`)
+    .querySelectorAll(
+      `link[data-feature=${feature}], style[data-feature=${feature}]`
+    )
     .forEach(function (el) {
       el.remove();
     });
-  if (allDisableFunctions[feature]) {
-    allDisableFunctions[feature]();
-  }
+  allDisableFunctions[feature]?.forEach(function (callback) {
+    callback();
+  });
 };
 
 ScratchTools.createProjectButton = function (text, callback, id) {
@@ -377,23 +481,7 @@ ScratchTools.styles = {
 };
 
 function scratchClass(name) {
-  let element = document.querySelector(`[class*='${name}']`);
-  if (element) {
-    let classes = [...element.classList];
-    return classes.find((el) => el.includes(name));
-  } else {
-    let text = []
-
-    for (var i in ScratchTools.cssFiles) {
-      text.push(ScratchTools.cssFiles[i].data)
-    }
-
-    text = text.join("\n\n")
-    let classes = ScratchTools.getClassNamesFromCSSText(text)
-
-    let relClass = classes.find((el) => el.includes(name))
-    return relClass
-  }
+  return ScratchTools.classes.get(name);
 }
 
 ScratchTools.getClassNamesFromCSSText = function(cssText) {
@@ -426,14 +514,14 @@ ScratchTools.waitForElements(
           scratchClass("menu_hoverable_");
 
         var div = document.createElement("div");
-        div.className = "settings-menu_option_GGukG";
+        div.className = scratchClass("settings-menu_option_");
 
         var icon = document.createElement("img");
         icon.src = ScratchTools.icons.main;
         icon.style.width = "24px";
 
         var span = document.createElement("span");
-        span.className = "settings-menu_submenu-label_r-gA3";
+        span.className = scratchClass("settings-menu_submenu-label_");
 
         var label = document.createElement("span");
         label.textContent = "ScratchTools Settings";
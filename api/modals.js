@@ -1,54 +1,414 @@
 HTMLElement.prototype.setScratchTools = function () {
   this.style.cursor = "pointer";
   this.addEventListener("click", function () {
-    ScratchTools.modals.create({
+    ScratchTools.ui.alert({
       title: "Added by ScratchTools",
-      description: "This element was added by a feature in ScratchTools.",
+      message: "This element was added by a feature in ScratchTools.",
     });
   });
 };
 
-ScratchTools.modals = {
-  create: function (data) {
-    var div = document.createElement("div");
-    div.className = "st-modal-blur-bg";
+// Dialogs and toasts shared by every feature. Dialogs trap focus while open,
+// close with Escape and submit with Enter, and are styled like Scratch's own
+// modals (including the editor dark mode colors).
+let openDialogs = [];
+let dialogCount = 0;
+
+const FOCUSABLE =
+  "a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex='-1'])";
+
+function getFocusable(element) {
+  return [...element.querySelectorAll(FOCUSABLE)].filter(
+    (el) => el.offsetParent !== null
+  );
+}
+
+function createDialogButton(button, close) {
+  let element = document.createElement("button");
+  element.type = "button";
+  element.className = "ste-dialog-button";
+  if (button.primary) element.classList.add("ste-dialog-button-primary");
+  if (button.danger) element.classList.add("ste-dialog-button-danger");
+  element.textContent = button.label;
+  element.addEventListener("click", async function () {
+    if (button.callback && (await button.callback()) === false) return;
+    close(button.value);
+  });
+  return element;
+}
+
+// Opens a dialog and returns { element, body, close, closed }. closed resolves
+// with the value close() was called with, or cancelValue if it was dismissed
+// (or if signal, an AbortSignal, aborts).
+function openDialog({
+  title,
+  message,
+  content = [],
+  buttons = [],
+  cancelValue = null,
+  className,
+  signal,
+}) {
+  let id = `ste-dialog-${++dialogCount}`;
+  let previousFocus = document.activeElement;
+  let resolve;
+  let closed = new Promise((r) => (resolve = r));
 
-    var modal = document.createElement("div");
-    modal.className = "st-modal";
+  let overlay = document.createElement("div");
+  overlay.className = "ste-dialog-overlay";
 
-    var h1 = document.createElement("h1");
-    h1.textContent = data.title;
-    modal.appendChild(h1);
+  let dialog = document.createElement("div");
+  dialog.className = "ste-dialog";
+  if (className) dialog.classList.add(className);
+  dialog.role = "dialog";
+  dialog.ariaModal = "true";
+  dialog.setAttribute("aria-labelledby", `${id}-title`);
+  dialog.tabIndex = -1;
 
-    var p = document.createElement("p");
-    p.textContent = data.description;
-    modal.appendChild(p);
+  let header = document.createElement("div");
+  header.className = "ste-dialog-header";
+  let heading = document.createElement("h2");
+  heading.id = `${id}-title`;
+  heading.textContent = title || "ScratchTools";
+  let closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.className = "ste-dialog-close";
+  closeButton.ariaLabel = "Close";
+  closeButton.textContent = "×";
+  closeButton.addEventListener("click", () => close(cancelValue));
+  header.append(heading, closeButton);
+
+  let body = document.createElement("div");
+  body.className = "ste-dialog-body";
+  if (message) {
+    let p = document.createElement("p");
+    p.id = `${id}-message`;
+    p.textContent = message;
+    body.appendChild(p);
+    dialog.setAttribute("aria-describedby", p.id);
+  }
+  body.append(...[content].flat());
+
+  dialog.append(header, body);
+  if (buttons.length) {
+    let row = document.createElement("div");
+    row.className = "ste-dialog-buttons";
+    row.append(...buttons.map((button) => createDialogButton(button, close)));
+    dialog.appendChild(row);
+  }
+
+  overlay.addEventListener("mousedown", function (e) {
+    if (e.target === overlay) close(cancelValue);
+  });
+  dialog.addEventListener("keydown", function (e) {
+    if (openDialogs.at(-1) !== instance) return;
+    if (e.key === "Escape") {
+      e.preventDefault();
+      e.stopPropagation();
+      close(cancelValue);
+    } else if (e.key === "Enter") {
+      if (["TEXTAREA", "BUTTON", "A"].includes(e.target.tagName)) return;
+      let primary = dialog.querySelector(".ste-dialog-button-primary");
+      if (!primary) return;
+      e.preventDefault();
+      e.stopPropagation();
+      primary.click();
+    } else if (e.key === "Tab") {
+      let focusable = getFocusable(dialog);
+      if (!focusable.length) return e.preventDefault();
+      let first = focusable[0];
+      let last = focusable.at(-1);
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  });
+  // Keeps the editor's own shortcuts from firing behind the dialog.
+  dialog.addEventListener("keyup", (e) => e.stopPropagation());
 
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  function close(value) {
+    if (!overlay.isConnected) return;
+    overlay.remove();
+    openDialogs = openDialogs.filter((el) => el !== instance);
+    if (previousFocus?.isConnected) previousFocus.focus();
+    resolve(value);
+  }
+
+  signal?.addEventListener("abort", () => close(cancelValue));
+
+  let instance = { element: dialog, body, close, closed };
+  openDialogs.push(instance);
+  (
+    dialog.querySelector("input, select, textarea") ||
+    dialog.querySelector(".ste-dialog-button-primary") ||
+    dialog
+  ).focus();
+  return instance;
+}
+
+function createField(field, id) {
+  let wrapper = document.createElement("label");
+  wrapper.className = `ste-dialog-field ste-dialog-field-${
+    field.type || "text"
+  }`;
+  let label = document.createElement("span");
+  label.textContent = field.label || "";
+
+  let input;
+  if (field.type === "select") {
+    input = document.createElement("select");
+    field.options?.forEach(function (option) {
+      let element = document.createElement("option");
+      element.value = option.value ?? option;
+      element.textContent = option.label ?? option;
+      input.appendChild(element);
+    });
+  } else if (field.type === "textarea") {
+    input = document.createElement("textarea");
+  } else {
+    input = document.createElement("input");
+    input.type = field.type || "text";
+  }
+  input.name = field.name;
+  input.id = `${id}-${field.name}`;
+  if (field.placeholder) input.placeholder = field.placeholder;
+  if (field.required) input.required = true;
+  ["min", "max", "step"].forEach(function (key) {
+    if (field[key] !== undefined) input[key] = field[key];
+  });
+  if (field.type === "checkbox") {
+    input.checked = !!field.value;
+    wrapper.append(input, label);
+  } else {
+    if (field.value !== undefined) input.value = field.value;
+    wrapper.append(label, input);
+  }
+  return wrapper;
+}
+
+function readField(field, input) {
+  if (field.type === "checkbox") return input.checked;
+  if (field.type === "number") {
+    return input.value === "" ? null : Number(input.value);
+  }
+  return input.value;
+}
+
+function createToastContainer() {
+  let container = document.querySelector(".ste-toasts");
+  if (!container) {
+    container = document.createElement("div");
+    container.className = "ste-toasts";
+    container.role = "status";
+    container.ariaLive = "polite";
+    document.body.appendChild(container);
+  }
+  return container;
+}
+
+ScratchTools.ui = {
+  open: openDialog,
+  // Resolves once the dialog is closed.
+  alert: async function (options) {
+    if (typeof options === "string") options = { message: options };
+    await openDialog({
+      ...options,
+      buttons: [{ label: options.okLabel || "OK", primary: true }],
+    }).closed;
+  },
+  // Resolves with true if confirmed and false otherwise.
+  confirm: async function (options) {
+    if (typeof options === "string") options = { message: options };
+    return openDialog({
+      ...options,
+      cancelValue: false,
+      buttons: [
+        { label: options.cancelLabel || "Cancel", value: false },
+        {
+          label: options.confirmLabel || "OK",
+          value: true,
+          primary: true,
+          danger: options.danger,
+        },
+      ],
+    }).closed;
+  },
+  // Resolves with the entered text, or null if cancelled.
+  prompt: async function (options) {
+    if (typeof options === "string") options = { message: options };
+    let values = await ScratchTools.ui.form({
+      ...options,
+      fields: [
+        {
+          name: "value",
+          label: options.label,
+          value: options.value ?? "",
+          placeholder: options.placeholder,
+        },
+      ],
+      validate:
+        options.validate && ((values) => options.validate(values.value)),
+    });
+    return values && values.value;
+  },
+  // Fields are { name, label, type, value, options, placeholder, required }
+  // where type is text, number, checkbox, select, textarea or any input type.
+  // Number fields can also have min, max and step.
+  // Resolves with the values by name, or null if cancelled. validate may
+  // return an error message to keep the form open.
+  form: async function ({
+    fields = [],
+    validate,
+    submitLabel = "OK",
+    cancelLabel = "Cancel",
+    ...options
+  }) {
+    let id = `ste-form-${++dialogCount}`;
+    let form = document.createElement("form");
+    form.className = "ste-dialog-form";
+    let inputs = fields.map(function (field) {
+      let element = createField(field, id);
+      form.appendChild(element);
+      return element.querySelector("input, select, textarea");
+    });
+    let error = document.createElement("p");
+    error.className = "ste-dialog-error";
+    error.role = "alert";
+    form.appendChild(error);
+    form.addEventListener("submit", (e) => e.preventDefault());
+
+    function getValues() {
+      let values = {};
+      fields.forEach(function (field, i) {
+        values[field.name] = readField(field, inputs[i]);
+      });
+      return values;
+    }
+
+    let dialog = openDialog({
+      ...options,
+      content: form,
+      buttons: [
+        { label: cancelLabel, value: null },
+        {
+          label: submitLabel,
+          primary: true,
+          callback: async function () {
+            if (!form.reportValidity()) return false;
+            let message = validate && (await validate(getValues()));
+            error.textContent = message || "";
+            if (message) return false;
+            dialog.close(getValues());
+            return false;
+          },
+        },
+      ],
+    });
+    return dialog.closed;
+  },
+  // Shows a message in the corner of the page. Actions are { label, callback }
+  // buttons. Resolves with the label of the action clicked, or null once the
+  // toast is dismissed, times out (duration 0 keeps it open) or signal aborts.
+  toast: function (options) {
+    if (typeof options === "string") options = { message: options };
+    let {
+      title,
+      message,
+      actions = [],
+      duration = actions.length ? 0 : 5000,
+      signal,
+    } = options;
+    let toast = document.createElement("div");
+    toast.className = "ste-toast";
+    if (title) {
+      let heading = document.createElement("strong");
+      heading.textContent = title;
+      toast.appendChild(heading);
+    }
+    let p = document.createElement("p");
+    p.textContent = message;
+    toast.appendChild(p);
+
+    let resolve;
+    let dismissed = new Promise((r) => (resolve = r));
+    function dismiss(value = null) {
+      if (!toast.isConnected) return;
+      toast.remove();
+      resolve(value);
+    }
+
+    let row = document.createElement("div");
+    row.className = "ste-toast-actions";
+    actions.forEach(function (action) {
+      let button = document.createElement("button");
+      button.type = "button";
+      button.textContent = action.label;
+      button.addEventListener("click", function () {
+        action.callback?.();
+        dismiss(action.label);
+      });
+      row.appendChild(button);
+    });
+    let closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "ste-toast-close";
+    closeButton.ariaLabel = "Dismiss";
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => dismiss());
+    toast.appendChild(closeButton);
+    if (actions.length) toast.appendChild(row);
+
+    createToastContainer().appendChild(toast);
+    if (duration) setTimeout(dismiss, duration);
+    signal?.addEventListener("abort", () => dismiss());
+    return dismissed;
+  },
+};
+
+// Older dialogs, kept for features that haven't moved to ScratchTools.ui.
+ScratchTools.modals = {
+  create: function (data) {
+    let content = [];
     data.components?.forEach(function (component) {
       if (component.type === "code") {
-        var code = document.createElement("code");
+        let code = document.createElement("code");
         code.textContent = component.content;
-        modal.appendChild(code);
+        content.push(code);
       } else if (component.type === "html") {
-        modal.appendChild(component.content);
+        content.push(component.content);
       }
     });
-
-    var closeButton = document.createElement("button");
-    closeButton.textContent = data.cancel ? "Cancel" : "Close";
-    closeButton.className = data.cancel ? "ste-modal-cancel-btn" : ""
-    closeButton.onclick = function () {
-      div.remove();
-    };
-    modal.appendChild(closeButton);
-
-    div.appendChild(modal);
-    document.body.appendChild(div);
-
+    let dialog = openDialog({
+      title: data.title,
+      message: data.description,
+      content,
+      buttons: [{ label: data.cancel ? "Cancel" : "Close" }],
+    });
     return {
-      close: function () {
-        div.remove();
-      },
+      close: () => dialog.close(),
     };
   },
 };
+
+ScratchTools.createModal = function (title, message, buttons) {
+  ScratchTools.ui.toast({
+    title,
+    message,
+    actions: buttons
+      .filter((el) => el.type !== "close")
+      .map((el) => ({
+        label: el.label,
+        callback:
+          el.type === "link"
+            ? () => window.open(el.href, "_blank")
+            : el.callback,
+      })),
+  });
+};
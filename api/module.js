@@ -1,102 +1,146 @@
 let allFeatures = []
 let alreadyInjected = [];
 
-function scratchClass(name) {
-  let element = document.querySelector(`[class*='${name}']`);
-  if (element) {
-    let classes = [...element.classList];
-    return classes.find((el) => el.includes(name));
-  } else {
-    let text = []
-
-    for (var i in ScratchTools.cssFiles) {
-      text.push(ScratchTools.cssFiles[i].data)
-    }
-
-    text = text.join("\n\n")
-    let classes = ScratchTools.getClassNamesFromCSSText(text)
-
-    let relClass = classes.find((el) => el.includes(name))
-    return relClass
-  }
-}
-
 function className(name) {
   return "ste-" + name.toLowerCase().replaceAll(" ", "-")
 }
 
-ScratchTools.modules.forEach(async function (script) {
-  var feature = await import(ScratchTools.dir + "/api/feature/index.js");
+function getPageType() {
+  return document.querySelector("#app") ? 3 : 2;
+}
+
+function shouldRun(script) {
   var shouldBeRun = true;
   if (script.runOn) {
     shouldBeRun = !!new URL(window.location.href).pathname.match(script.runOn);
   }
   if (script.pageType) {
-    var pageType = document.querySelector("#app") ? 3 : 2;
-    shouldBeRun = pageType === script.pageType;
+    shouldBeRun = getPageType() === script.pageType;
   }
-  if (shouldBeRun) {
-    if (!alreadyInjected.includes(script.file)) {
-      alreadyInjected.push(script.file);
-      var fun = await import(script.file);
-      if (fun.default) {
-        var featureGenerated = feature.default(script.feature)
-        allFeatures.push(featureGenerated)
-        fun.default({
-          feature: featureGenerated,
-          scratchClass,
-          className,
-          console: {
-            log: function (content) {
-              ste.console.log(content, script.feature.id);
-            },
-            warn: function (content) {
-              ste.console.warn(content, script.feature.id);
-            },
-            error: function (content) {
-              ste.console.error(content, script.feature.id);
-            },
+  return shouldBeRun;
+}
+
+// Errors are recorded against the feature that threw them. The first crash on
+// each page load is reported to the service worker, which quarantines
+// features that keep crashing on this page type.
+let reportedCrashes = [];
+async function reportFeatureError(id, err) {
+  ste.console.error(err?.stack || String(err), id);
+  if (reportedCrashes.includes(id)) return;
+  reportedCrashes.push(id);
+  try {
+    var { quarantined } = await ScratchTools.sendMessage("feature-crash", {
+      feature: id,
+      pageType: ScratchTools.type,
+      message: err?.message || String(err),
+    });
+  } catch (err) {
+    return;
+  }
+  if (quarantined) {
+    ste.console.warn(
+      `Disabled ${id} on ${ScratchTools.type} pages after repeated crashes.`,
+      "ste-main"
+    );
+    ScratchTools.disable(id);
+  }
+}
+
+// Errors thrown later from listeners and timers are matched to a feature by
+// the file in their stack trace, which is /features/<id>.js for legacy ones.
+function getErrorFeature(err) {
+  var match = (err?.stack || "").match(/\/features\/([\w-]+)(\/|\.js)/);
+  if (!match || !err.stack.includes(ScratchTools.dir)) return null;
+  if (match[1] in (ScratchTools.legacyFeatures || {})) return match[1];
+  return allModules.find((el) => el.feature.id === match[1])?.feature.id || null;
+}
+window.addEventListener("error", function (e) {
+  var id = getErrorFeature(e.error);
+  if (id) reportFeatureError(id, e.error);
+});
+window.addEventListener("unhandledrejection", function (e) {
+  var id = getErrorFeature(e.reason);
+  if (id) reportFeatureError(id, e.reason);
+});
+
+function isQuarantined(script) {
+  return (ScratchTools.quarantined || []).includes(script.feature.id);
+}
+
+// Features turned off by the kill switch for this version and page type.
+function isKilled(script) {
+  return script.feature.id in (ScratchTools.killed || {});
+}
+
+async function runModule(script) {
+  alreadyInjected.push(script.file);
+  var feature = await import(ScratchTools.dir + "/api/feature/index.js");
+  try {
+    var fun = await import(script.file);
+  } catch (err) {
+    reportFeatureError(script.feature.id, err);
+    return;
+  }
+  if (fun.default) {
+    var featureGenerated = feature.default(script.feature, script)
+    allFeatures.push(featureGenerated)
+    try {
+      var result = fun.default({
+        feature: featureGenerated,
+        scratchClass,
+        className,
+        console: {
+          log: function (content) {
+            ste.console.log(content, script.feature.id);
+          },
+          warn: function (content) {
+            ste.console.warn(content, script.feature.id);
+          },
+          error: function (content) {
+            ste.console.error(content, script.feature.id);
           },
-        });
+        },
+      });
+      if (result instanceof Promise) {
+        result.catch((err) => reportFeatureError(script.feature.id, err));
       }
+    } catch (err) {
+      reportFeatureError(script.feature.id, err);
     }
   }
+}
+
+let allModules = [...ScratchTools.modules];
+
+allModules.forEach(function (script) {
+  if (isQuarantined(script) || isKilled(script)) return;
+  if (shouldRun(script) && !alreadyInjected.includes(script.file)) {
+    runModule(script);
+  }
 });
 
 ScratchTools.injectModule = async function (script) {
-  var feature = await import(ScratchTools.dir + "/api/feature/index.js");
-  var shouldBeRun = true;
-  if (script.runOn) {
-    shouldBeRun = !!new URL(window.location.href).pathname.match(script.runOn);
+  if (isKilled(script)) {
+    ste.console.warn(
+      `Skipped ${script.feature.id}, which was turned off remotely. ${
+        ScratchTools.killed[script.feature.id] || ""
+      }`,
+      "ste-main"
+    );
+    return;
   }
-  if (script.pageType) {
-    var pageType = document.querySelector("#app") ? 3 : 2;
-    shouldBeRun = pageType === script.pageType;
+  ScratchTools.quarantined = (ScratchTools.quarantined || []).filter(
+    (el) => el !== script.feature.id
+  );
+  ScratchTools.disabledFeatures = ScratchTools.disabledFeatures.filter(
+    (el) => el !== script.feature.id
+  );
+  if (!allModules.find((el) => el.file === script.file)) {
+    allModules.push(script);
   }
-  if (shouldBeRun) {
+  if (shouldRun(script)) {
     if (!alreadyInjected.includes(script.file)) {
-      alreadyInjected.push(script.file);
-      var fun = await import(script.file);
-      if (fun.default) {
-        var featureGenerated = feature.default(script.feature)
-        allFeatures.push(featureGenerated)
-        fun.default({
-          feature: featureGenerated,
-          scratchClass,
-          className,
-          console: {
-            log: function (content) {
-              ste.console.log(content, script.feature.id);
-            },
-            warn: function (content) {
-              ste.console.warn(content, script.feature.id);
-            },
-            error: function (content) {
-              ste.console.error(content, script.feature.id);
-            },
-          },
-        });
-      }
+      await runModule(script);
     } else {
       allFeatures.filter((el) => el.self.id === script.feature.id).forEach(function(el) {
         el.self.enabled = true
@@ -105,11 +149,38 @@ ScratchTools.injectModule = async function (script) {
         if (!el.element) return;
         el.element.style.display = el?.previousDisplay || null
       })
-      allEnableFunctions[script.feature.id]?.();
+      allEnableFunctions[script.feature.id]?.forEach(function (callback) {
+        callback();
+      });
     }
   }
 };
 
+// Scripts that have not run yet start when their runOn first matches, and
+// lifecycle registrations detach while the route no longer matches.
+ScratchTools.onNavigate(function () {
+  allModules.forEach(function (script) {
+    if (ScratchTools.disabledFeatures.includes(script.feature.id)) return;
+    if (isQuarantined(script) || isKilled(script)) return;
+    if (shouldRun(script) && !alreadyInjected.includes(script.file)) {
+      runModule(script);
+    }
+  });
+  allFeatures.forEach(function (el) {
+    if (!el.script) return;
+    if (shouldRun(el.script)) {
+      el.lifecycle.attach();
+    } else {
+      el.lifecycle.detach();
+    }
+  });
+  document
+    .querySelectorAll(".scratchtools-styles-div [data-run-on]")
+    .forEach(function (style) {
+      style.disabled = !window.location.pathname.match(style.dataset.runOn);
+    });
+});
+
 async function loadApril() {
   let april = await import("./april/index.js")
   april.default()
@@ -0,0 +1,176 @@
+var ScratchTools = ScratchTools || {};
+
+// Shared by the popup renderer and feature.settings, so both read an option
+// from data.json the same way.
+ScratchTools.options = {
+  TYPES: {
+    string: 0,
+    boolean: 1,
+    number: 2,
+    color: 3,
+    select: 4,
+    text: 5,
+    keybinding: 6,
+    list: 7,
+    slider: 8,
+    usernames: 9,
+    json: 10,
+  },
+  USERNAME_REGEX: /^[\w-]{3,20}$/,
+  normalize: function (option) {
+    var TYPES = ScratchTools.options.TYPES;
+    var type =
+      typeof option.type === "string" ? TYPES[option.type] : option.type || 0;
+    var normalized = Object.assign({}, option, { type });
+    normalized.min = option.min ?? option.validators?.min;
+    normalized.max = option.max ?? option.validators?.max;
+    if (type === TYPES.slider) {
+      normalized.min = normalized.min ?? 0;
+      normalized.max = normalized.max ?? 100;
+      normalized.step = option.step ?? 1;
+    }
+    normalized.validation = [...(option.validation || [])];
+    if (option.pattern) {
+      normalized.validation.push({
+        regex: option.pattern,
+        explanation:
+          option.explanation || `This must match the pattern ${option.pattern}.`,
+      });
+    }
+    return normalized;
+  },
+  parse: function (option, value) {
+    var TYPES = ScratchTools.options.TYPES;
+    option = ScratchTools.options.normalize(option);
+    if (value === undefined || value === null) return option.default;
+    if (option.type === TYPES.boolean) {
+      return !!value;
+    }
+    if (option.type === TYPES.number || option.type === TYPES.slider) {
+      if (value === "" || isNaN(Number(value))) return option.default;
+      return ScratchTools.options.clamp(option, Number(value));
+    }
+    if (option.type === TYPES.list || option.type === TYPES.usernames) {
+      if (typeof value === "string") {
+        return ScratchTools.options.splitLines(value);
+      }
+      return Array.isArray(value) ? value : option.default;
+    }
+    if (option.type === TYPES.json && typeof value === "string") {
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        return option.default;
+      }
+    }
+    if (option.type === TYPES.keybinding && typeof value === "string") {
+      return { key: value, shift: false, ctrl: false, alt: false };
+    }
+    return value;
+  },
+  clamp: function (option, value) {
+    if (option.min !== undefined && value < option.min) value = option.min;
+    if (option.max !== undefined && value > option.max) value = option.max;
+    return value;
+  },
+  splitLines: function (text) {
+    return text
+      .split("\n")
+      .map((el) => el.trim())
+      .filter((el) => el);
+  },
+  // Validates the text a user typed for an option and converts it to the
+  // value that gets stored.
+  validate: function (option, text) {
+    var TYPES = ScratchTools.options.TYPES;
+    option = ScratchTools.options.normalize(option);
+    for (var validate of option.validation) {
+      if (!new RegExp(validate.regex).test(text)) {
+        return { valid: false, explanation: validate.explanation };
+      }
+    }
+    if (option.type === TYPES.number || option.type === TYPES.slider) {
+      if (text === "") return { valid: true, value: option.default };
+      if (isNaN(Number(text))) {
+        return { valid: false, explanation: "This must be a number." };
+      }
+      return { valid: true, value: ScratchTools.options.clamp(option, Number(text)) };
+    }
+    if (option.type === TYPES.list || option.type === TYPES.usernames) {
+      var items = ScratchTools.options.splitLines(text);
+      if (option.type === TYPES.usernames) {
+        var invalid = items.find(
+          (el) => !ScratchTools.options.USERNAME_REGEX.test(el)
+        );
+        if (invalid) {
+          return {
+            valid: false,
+            explanation: `"${invalid}" is not a valid Scratch username.`,
+          };
+        }
+      }
+      return { valid: true, value: items };
+    }
+    if (option.type === TYPES.json) {
+      try {
+        return { valid: true, value: JSON.parse(text) };
+      } catch (err) {
+        return { valid: false, explanation: "This must be valid JSON." };
+      }
+    }
+    return { valid: true, value: text };
+  },
+  // Converts a stored value back to the text shown in the option's input.
+  stringify: function (option, value) {
+    var TYPES = ScratchTools.options.TYPES;
+    option = ScratchTools.options.normalize(option);
+    if (value === undefined || value === null) return "";
+    if (option.type === TYPES.list || option.type === TYPES.usernames) {
+      return value.join("\n");
+    }
+    if (option.type === TYPES.json) {
+      return JSON.stringify(value, null, 2);
+    }
+    if (option.type === TYPES.keybinding) {
+      return ScratchTools.options.formatKeybinding(value);
+    }
+    return value.toString();
+  },
+  formatKeybinding: function (binding) {
+    if (!binding?.key) return "";
+    return [
+      binding.ctrl && "Ctrl",
+      binding.alt && "Alt",
+      binding.shift && "Shift",
+      binding.key.length === 1 ? binding.key.toUpperCase() : binding.key,
+    ]
+      .filter((el) => el)
+      .join("+");
+  },
+  // Whether Shift is part of the character a key types, like "/" or "?",
+  // rather than a modifier. It depends on the keyboard layout, so it's
+  // ignored for those keys.
+  isPrintedKey: function (key) {
+    return key?.length === 1 && key.toUpperCase() === key.toLowerCase();
+  },
+  // Returns null while only modifier keys are held.
+  keybindingFromEvent: function (e) {
+    if (["Shift", "Control", "Alt", "Meta"].includes(e.key)) return null;
+    return {
+      key: e.key.length === 1 ? e.key.toUpperCase() : e.key,
+      shift: e.shiftKey && !ScratchTools.options.isPrintedKey(e.key),
+      ctrl: e.ctrlKey || e.metaKey,
+      alt: e.altKey,
+    };
+  },
+  matchesKeybinding: function (binding, e) {
+    if (!binding?.key) return false;
+    return (
+      e.key.toUpperCase() === binding.key.toUpperCase() &&
+      (ScratchTools.options.isPrintedKey(binding.key) ||
+        !!binding.shift === e.shiftKey) &&
+      !!binding.ctrl === (e.ctrlKey || e.metaKey) &&
+      !!binding.alt === e.altKey
+    );
+  },
+};
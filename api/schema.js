@@ -0,0 +1,168 @@
+var ScratchTools = ScratchTools || {};
+
+// Checks features.json and each feature's data.json against the JSON schemas
+// in /schemas, so the service worker can skip a feature that's configured
+// incorrectly instead of failing to load any, and the popup can say why.
+// Only the parts of JSON Schema those files use are supported: $ref, type,
+// enum, const, pattern, minLength, minimum, maximum, properties, required,
+// items and anyOf.
+ScratchTools.schema = {
+  FILES: ["features.schema.json", "data.schema.json"],
+  schemas: null,
+  load: function () {
+    if (!ScratchTools.schema.schemas) {
+      ScratchTools.schema.schemas = Promise.all(
+        ScratchTools.schema.FILES.map(async function (file) {
+          return await (await fetch(`/schemas/${file}`)).json();
+        })
+      ).then(function (schemas) {
+        return Object.fromEntries(schemas.map((el) => [el.$id, el]));
+      });
+    }
+    return ScratchTools.schema.schemas;
+  },
+  // Returns a list of problems with value, checked against a reference like
+  // "data.schema.json" or "features.schema.json#/items". name is what the
+  // value is called when the problem is with the whole of it.
+  validate: async function (ref, value, name = "The value") {
+    var schemas = await ScratchTools.schema.load();
+    var errors = [];
+    var { schema, base } = ScratchTools.schema.resolve(schemas, ref, null);
+    ScratchTools.schema.check(schemas, schema, base, value, "", errors, name);
+    return errors;
+  },
+  resolve: function (schemas, ref, base) {
+    var [file, pointer] = ref.split("#");
+    base = file || base;
+    var schema = schemas[base];
+    if (!schema) throw new Error(`There's no schema called ${base}.`);
+    (pointer || "")
+      .split("/")
+      .filter((el) => el)
+      .forEach(function (key) {
+        schema = schema?.[key];
+      });
+    if (!schema) throw new Error(`Couldn't find ${ref} in the schemas.`);
+    return { schema, base };
+  },
+  typeOf: function (value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  },
+  check: function (schemas, schema, base, value, path, errors, name) {
+    var { check, resolve, typeOf } = ScratchTools.schema;
+    var where = path || name;
+    if (schema.$ref) {
+      var { schema: target, base: targetBase } = resolve(
+        schemas,
+        schema.$ref,
+        base
+      );
+      check(schemas, target, targetBase, value, path, errors, name);
+      return;
+    }
+    if (schema.anyOf) {
+      // When nothing matches, the closest alternative explains it best.
+      var closest = null;
+      for (var alternative of schema.anyOf) {
+        var found = [];
+        check(schemas, alternative, base, value, path, found, name);
+        if (!found.length) {
+          closest = null;
+          break;
+        }
+        if (!closest || found.length < closest.length) closest = found;
+      }
+      if (closest) {
+        errors.push(...closest);
+        return;
+      }
+    }
+    if (schema.type) {
+      var types = [].concat(schema.type);
+      var actual = typeOf(value);
+      if (!types.includes(actual)) {
+        errors.push(`${where} should be ${types.join(" or ")}, not ${actual}.`);
+        return;
+      }
+    }
+    if ("const" in schema && value !== schema.const) {
+      errors.push(`${where} should be ${JSON.stringify(schema.const)}.`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(
+        `${where} should be one of ${schema.enum
+          .map((el) => JSON.stringify(el))
+          .join(", ")}, not ${JSON.stringify(value)}.`
+      );
+    }
+    if (typeof value === "string") {
+      if (schema.minLength && value.length < schema.minLength) {
+        errors.push(`${where} can't be empty.`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${where} doesn't match ${schema.pattern}.`);
+      }
+    }
+    if (typeof value === "number") {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${where} can't be less than ${schema.minimum}.`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${where} can't be more than ${schema.maximum}.`);
+      }
+    }
+    if (typeOf(value) === "object") {
+      schema.required?.forEach(function (key) {
+        if (!(key in value)) {
+          errors.push(`${path ? `${path}.` : ""}${key} is missing.`);
+        }
+      });
+      for (var key in schema.properties || {}) {
+        if (!(key in value)) continue;
+        check(
+          schemas,
+          schema.properties[key],
+          base,
+          value[key],
+          path ? `${path}.${key}` : key,
+          errors
+        );
+      }
+    }
+    if (Array.isArray(value) && schema.items) {
+      value.forEach(function (item, i) {
+        check(schemas, schema.items, base, item, `${path}[${i}]`, errors);
+      });
+    }
+  },
+  // Splits features.json into the entries that can be loaded and
+  // { feature, errors } for the rest. Throws if it isn't a list at all.
+  checkFeatures: async function (list) {
+    if (!Array.isArray(list)) {
+      throw new TypeError("features.json has to be an array.");
+    }
+    var features = [];
+    var problems = [];
+    for (var i = 0; i < list.length; i++) {
+      var errors = await ScratchTools.schema.validate(
+        "features.schema.json#/items",
+        list[i],
+        "The entry"
+      );
+      if (errors.length) {
+        problems.push({
+          feature: list[i]?.id || list[i]?.file || `features.json[${i}]`,
+          errors,
+        });
+      } else {
+        features.push(list[i]);
+      }
+    }
+    return { features, problems };
+  },
+  checkData: function (data) {
+    return ScratchTools.schema.validate("data.schema.json", data, "data.json");
+  },
+};
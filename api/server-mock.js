@@ -0,0 +1,262 @@
+var ScratchTools = ScratchTools || {};
+
+// An in-memory stand-in for the ScratchTools server, used when the server URL
+// is set to "mock". It follows the contracts in ScratchTools.server.ENDPOINTS
+// and starts out empty again whenever the service worker restarts. Since it
+// can't read cloud variables or check sign-in codes, it trusts the username
+// sent along with them.
+ScratchTools.serverMock = {
+  data: null,
+  reset: function () {
+    ScratchTools.serverMock.data = {
+      secrets: {},
+      tokens: {},
+      names: {},
+      statuses: {},
+      pinned: {},
+      reactions: {},
+      online: {},
+      settings: {},
+      feedback: [],
+    };
+  },
+  // Answers a { method, path, body } request with { status, body }.
+  handle: async function ({ method, path, body }) {
+    var match = ScratchTools.server.match(method, path);
+    if (!match) {
+      return {
+        status: 404,
+        body: { error: `There's no ${method} ${path.split("?")[0]} endpoint.` },
+      };
+    }
+    var route = ScratchTools.serverMock.routes[match.name];
+    if (!route) {
+      return {
+        status: 501,
+        body: { error: `The mock server doesn't implement ${match.name}.` },
+      };
+    }
+    var query = new URLSearchParams(path.split("?")[1] || "");
+    var request = { ...Object.fromEntries(query), ...body };
+    var problem = ScratchTools.server.checkTypes(
+      match.endpoint.request,
+      request
+    );
+    if (problem) return { status: 400, body: { error: problem } };
+    try {
+      return { status: 200, body: await route(match.params, request) };
+    } catch (err) {
+      return { status: 400, body: { error: err.message } };
+    }
+  },
+  userFor: function (token) {
+    var user = ScratchTools.serverMock.data.tokens[token];
+    if (!user) throw new Error("This token isn't valid.");
+    return user;
+  },
+  routes: {
+    verificationCode: function () {
+      var code = Math.floor(100000 + Math.random() * 900000);
+      var secret = crypto.randomUUID();
+      ScratchTools.serverMock.data.secrets[secret] = code;
+      return { code, secret };
+    },
+    verify: function (params, { secret, user }) {
+      var { data } = ScratchTools.serverMock;
+      if (!data.secrets[secret]) {
+        throw new Error("This verification code has expired.");
+      }
+      if (!user) throw new Error("The mock server needs a user to verify.");
+      delete data.secrets[secret];
+      var token = crypto.randomUUID();
+      data.tokens[token] = user;
+      return { code: token };
+    },
+    signIn: function (params, { username }) {
+      if (!username) throw new Error("The mock server needs a username.");
+      var token = crypto.randomUUID();
+      ScratchTools.serverMock.data.tokens[token] = username;
+      return { token, username };
+    },
+    name: function ({ username }) {
+      return {
+        displayName:
+          ScratchTools.serverMock.data.names[username.toLowerCase()] || null,
+      };
+    },
+    setDisplayName: function (params, { name, token }) {
+      var { data, userFor } = ScratchTools.serverMock;
+      data.names[userFor(token).toLowerCase()] = name.slice(0, 30);
+      return { success: true };
+    },
+    status: function ({ username }) {
+      return {
+        status:
+          ScratchTools.serverMock.data.statuses[username.toLowerCase()] || null,
+      };
+    },
+    setStatus: function (params, { status, token }) {
+      var { data, userFor } = ScratchTools.serverMock;
+      data.statuses[userFor(token).toLowerCase()] = status;
+      return { success: true };
+    },
+    pinned: function ({ project }) {
+      return ScratchTools.serverMock.data.pinned[project] || {};
+    },
+    pin: function (params, { token, project, author, id, content }) {
+      var { data, userFor } = ScratchTools.serverMock;
+      userFor(token);
+      data.pinned[project] = {
+        commentId: id,
+        author,
+        content,
+        projectId: project,
+      };
+      return { success: true };
+    },
+    unpin: function (params, { token, project }) {
+      var { data, userFor } = ScratchTools.serverMock;
+      userFor(token);
+      delete data.pinned[project];
+      return { success: true };
+    },
+    reactions: function ({ project }) {
+      return ScratchTools.serverMock.data.reactions[project] || [];
+    },
+    react: function (params, { token, emoji, project }) {
+      var { data, userFor } = ScratchTools.serverMock;
+      var user = userFor(token);
+      var reactions = data.reactions[project] || [];
+      if (!reactions.some((el) => el.emoji === emoji && el.user === user)) {
+        reactions.push({ emoji, user });
+      }
+      data.reactions[project] = reactions;
+      return { success: true, data: reactions };
+    },
+    unreact: function (params, { token, emoji, project }) {
+      var { data, userFor } = ScratchTools.serverMock;
+      var user = userFor(token);
+      data.reactions[project] = (data.reactions[project] || []).filter(
+        (el) => el.emoji !== emoji || el.user !== user
+      );
+      return { success: true, data: data.reactions[project] };
+    },
+    isOnline: function ({ username }) {
+      var { online } = ScratchTools.serverMock.data;
+      var lastSeen = online[username.toLowerCase()];
+      return {
+        scratchtools: !!lastSeen,
+        online: !!lastSeen && lastSeen > Date.now() - 10 * 60 * 1000,
+      };
+    },
+    online: function (params, { user }) {
+      ScratchTools.serverMock.data.online[user.toLowerCase()] = Date.now();
+      return { success: true };
+    },
+    trending: function () {
+      return [];
+    },
+    news: function () {
+      return {
+        title: "Mock server",
+        description:
+          "ScratchTools is using its built-in mock server, so nothing you do " +
+          "is saved.",
+      };
+    },
+    isBeta: function () {
+      return { beta: false };
+    },
+    latest: function () {
+      return { version: chrome.runtime.getManifest().version_name };
+    },
+    messageCount: function () {
+      return { count: 0 };
+    },
+    createSettings: function (params, { features }) {
+      var code = crypto.randomUUID().slice(0, 8);
+      ScratchTools.serverMock.data.settings[code] = features;
+      return { code };
+    },
+    sendFeedback: function (params, request) {
+      var { data, userFor } = ScratchTools.serverMock;
+      data.feedback.push({ ...request, user: userFor(request.token) });
+      return { success: true };
+    },
+    feedbackMessages: function (params, { token }) {
+      ScratchTools.serverMock.userFor(token);
+      return [];
+    },
+    description: function () {
+      return { response: "This description is from the mock server." };
+    },
+    language: function () {
+      return [];
+    },
+    tutorials: function () {
+      return [];
+    },
+    aiQuery: function () {
+      return { response: "The mock server can't answer questions." };
+    },
+    themes: function () {
+      return [];
+    },
+    fonts: function () {
+      return [];
+    },
+    featured: function () {
+      return [];
+    },
+  },
+};
+ScratchTools.serverMock.reset();
+
+// Stands in for the support chat's WebSocket, replying to each message.
+ScratchTools.serverMock.Socket = class extends EventTarget {
+  constructor(path) {
+    super();
+    this.url = `${ScratchTools.server.MOCK_URL}:${path}`;
+    this.readyState = WebSocket.CONNECTING;
+    setTimeout(() => {
+      this.readyState = WebSocket.OPEN;
+      this.dispatch("open");
+      this.reply({ connected: true });
+    });
+  }
+
+  dispatch(type, init) {
+    var event = init ? new MessageEvent(type, init) : new Event(type);
+    this.dispatchEvent(event);
+    this[`on${type}`]?.(event);
+  }
+
+  reply(data) {
+    setTimeout(() => {
+      if (this.readyState !== WebSocket.OPEN) return;
+      this.dispatch("message", { data: JSON.stringify(data) });
+    });
+  }
+
+  send(message) {
+    if (this.readyState !== WebSocket.OPEN) {
+      throw new Error("The mock socket isn't open.");
+    }
+    var data = JSON.parse(message);
+    if (data.type === "verify") {
+      this.reply({
+        type: "message",
+        content: "You're connected to the mock server's support chat.",
+      });
+    }
+    if (data.type === "send") {
+      this.reply({ type: "message", content: `You said: ${data.content}` });
+    }
+  }
+
+  close() {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSED;
+    this.dispatch("close");
+  }
+};
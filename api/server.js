@@ -0,0 +1,401 @@
+var ScratchTools = ScratchTools || {};
+
+// Requests to the ScratchTools server go through here, so it can be swapped in
+// the popup's additional settings for a self-hosted one, or for "mock" to use
+// the in-memory backend in api/server-mock.js. Shared by Scratch pages,
+// extension pages and the service worker.
+ScratchTools.server = {
+  DEFAULT_URL: "https://data.scratchtools.app",
+  MOCK_URL: "mock",
+  // What each endpoint takes and returns. Path parameters start with ":".
+  // request describes the JSON body (or the query, for GET requests) and
+  // response the JSON sent back, using the same types as the service worker's
+  // message handlers. A trailing "?" marks a key as optional. Any endpoint can
+  // respond with { error: "string" } instead.
+  ENDPOINTS: {
+    // Starts ScratchTools.verifyUser. The code is set as a cloud variable to
+    // prove who the user is.
+    verificationCode: {
+      method: "GET",
+      path: "/verification/code/",
+      response: { code: "number", secret: "string" },
+    },
+    // Returns a token for the user who set the code. The real server reads the
+    // username from the cloud variable and ignores user.
+    verify: {
+      method: "POST",
+      path: "/verify/",
+      request: { secret: "string", user: "string?" },
+      response: { code: "string" },
+    },
+    // Signs in to the dashboard with a code from auth.itinerary.eu.org. The
+    // real server finds out who signed in from the code and ignores username.
+    signIn: {
+      method: "GET",
+      path: "/verify/",
+      request: { code: "string", username: "string?" },
+      response: { token: "string", username: "string" },
+    },
+    name: {
+      method: "GET",
+      path: "/name/:username/",
+      response: { displayName: "string?" },
+    },
+    setDisplayName: {
+      method: "POST",
+      path: "/setdisplay/",
+      request: { name: "string", token: "string" },
+      response: { success: "boolean" },
+    },
+    status: {
+      method: "GET",
+      path: "/status/:username/",
+      response: { status: "string?" },
+    },
+    setStatus: {
+      method: "POST",
+      path: "/setstatus/",
+      request: { status: "string", token: "string" },
+      response: { success: "boolean" },
+    },
+    // Empty when nothing's pinned on the project.
+    pinned: {
+      method: "GET",
+      path: "/pinned/:project/",
+      response: {
+        commentId: "string?",
+        author: "string?",
+        content: "string?",
+        projectId: "string?",
+      },
+    },
+    pin: {
+      method: "POST",
+      path: "/pin/",
+      request: {
+        token: "string",
+        project: "string",
+        author: "string",
+        id: "string",
+        content: "string",
+      },
+      response: { success: "boolean" },
+    },
+    unpin: {
+      method: "POST",
+      path: "/unpin/",
+      request: { token: "string", project: "string" },
+      response: { success: "boolean" },
+    },
+    // A list of { emoji, user }, one for each reaction.
+    reactions: {
+      method: "GET",
+      path: "/reactions/:project/",
+      response: "array",
+    },
+    // Both return the project's reactions after the change as data.
+    react: {
+      method: "POST",
+      path: "/react/",
+      request: { token: "string", emoji: "string", project: "string" },
+      response: { success: "boolean", data: "array" },
+    },
+    unreact: {
+      method: "POST",
+      path: "/unreact/",
+      request: { token: "string", emoji: "string", project: "string" },
+      response: { success: "boolean", data: "array" },
+    },
+    // scratchtools is whether the user has ScratchTools with isonline on.
+    isOnline: {
+      method: "GET",
+      path: "/isonline/:username/",
+      response: { scratchtools: "boolean", online: "boolean" },
+    },
+    // Sent by the service worker every few minutes while Scratch is open.
+    online: {
+      method: "POST",
+      path: "/online/",
+      request: { user: "string" },
+      response: { success: "boolean" },
+    },
+    // A list of feature ids.
+    trending: {
+      method: "GET",
+      path: "/trending/",
+      response: "array",
+    },
+    // description is HTML.
+    news: {
+      method: "GET",
+      path: "/news/",
+      response: { title: "string", description: "string" },
+    },
+    isBeta: {
+      method: "GET",
+      path: "/isbeta/:username/",
+      response: { beta: "boolean" },
+    },
+    latest: {
+      method: "GET",
+      path: "/latest/",
+      response: { version: "string", beta: "number?" },
+    },
+    // Replies to the user's feedback they haven't read.
+    messageCount: {
+      method: "GET",
+      path: "/messages/:username/count/",
+      response: { count: "number" },
+    },
+    // Saves a list of enabled features, and returns a code for it.
+    createSettings: {
+      method: "POST",
+      path: "/create/",
+      request: { features: "string" },
+      response: { code: "string" },
+    },
+    sendFeedback: {
+      method: "POST",
+      path: "/verified-feedback/",
+      request: {
+        feedback: "string",
+        settings: "string",
+        useragent: "string",
+        version: "string",
+        token: "string",
+      },
+      response: { success: "boolean" },
+    },
+    // A list of { content, ... } replies to the user's feedback.
+    feedbackMessages: {
+      method: "POST",
+      path: "/get-messages/",
+      request: { token: "string" },
+      response: "array",
+    },
+    description: {
+      method: "GET",
+      path: "/description/:project/",
+      response: { response: "string" },
+    },
+    // A list of country details, whose first item has a languages object.
+    language: {
+      method: "GET",
+      path: "/language/:country",
+      request: { fullText: "string?" },
+      response: "array",
+    },
+    // A list of { id, title, ... } for YouTube videos.
+    tutorials: {
+      method: "GET",
+      path: "/tutorials/",
+      response: "array",
+    },
+    // Project details in the shape of Scratch's own API.
+    project: {
+      method: "GET",
+      path: "/projects/:project/",
+      response: { image: "string", title: "string", author: "object" },
+    },
+    // response is either an answer or a list of projects.
+    aiQuery: {
+      method: "POST",
+      path: "/ai-query/",
+      request: { username: "string", search: "string" },
+      response: { success: "boolean?", response: "string" },
+    },
+    // A list of themes shared by the ScratchTools team.
+    themes: {
+      method: "GET",
+      path: "/themes/scratchtools/",
+      response: "array",
+    },
+    // A list of font names for more-editor-fonts.
+    fonts: {
+      method: "GET",
+      path: "/fonts/",
+      response: "array",
+    },
+    // A list of project ids.
+    featured: {
+      method: "GET",
+      path: "/featured/",
+      response: "array",
+    },
+    // These respond with files instead of JSON, so they're used through
+    // ScratchTools.server.fileUrl. The mock server doesn't have them.
+    fontImage: {
+      method: "GET",
+      path: "/font/image/:font/",
+    },
+    fontFile: {
+      method: "GET",
+      path: "/font/:font.ttf",
+    },
+    profilePicture: {
+      method: "GET",
+      path: "/pfp/:user/",
+    },
+    // The awards submission form.
+    submission: {
+      method: "GET",
+      path: "/submission/",
+    },
+    // The support chat. Messages are JSON both ways: the server sends
+    // { connected }, then { type: "message", content } or { error }, and the
+    // page sends { type: "verify", token, version, features } and
+    // { type: "send", content }.
+    supportChat: {
+      method: "SOCKET",
+      path: "/",
+    },
+  },
+  // Checks a URL typed into the settings. Returns it without a trailing slash,
+  // or null if it can't be used.
+  normalizeUrl: function (url) {
+    url = url?.trim().replace(/\/+$/, "");
+    if (!url) return null;
+    if (url === ScratchTools.server.MOCK_URL) return url;
+    try {
+      var { protocol } = new URL(url);
+      return protocol === "https:" || protocol === "http:" ? url : null;
+    } catch (err) {
+      return null;
+    }
+  },
+  // Scratch pages are given the setting when ScratchTools loads, while
+  // extension pages and the service worker read it from storage.
+  getUrl: async function () {
+    var url = ScratchTools.Storage?.serverUrl;
+    if (typeof chrome !== "undefined" && chrome.storage?.sync) {
+      url = (await chrome.storage.sync.get("serverUrl")).serverUrl;
+    }
+    return (
+      ScratchTools.server.normalizeUrl(url) || ScratchTools.server.DEFAULT_URL
+    );
+  },
+  // The URL of a file or page on the server, for requests that aren't JSON.
+  // Throws when the mock server is in use, since it only answers JSON.
+  fileUrl: async function (path) {
+    var url = await ScratchTools.server.getUrl();
+    return ScratchTools.server.toFileUrl(url, path);
+  },
+  toFileUrl: function (url, path) {
+    if (url === ScratchTools.server.MOCK_URL) {
+      throw new Error(`The mock server doesn't have ${path}.`);
+    }
+    return url + path;
+  },
+  isMock: async function () {
+    var url = await ScratchTools.server.getUrl();
+    return url === ScratchTools.server.MOCK_URL;
+  },
+  // Finds the endpoint a request is for, with the values of its path
+  // parameters.
+  match: function (method, path) {
+    var pathname = path.split("?")[0];
+    var endpoints = ScratchTools.server.ENDPOINTS;
+    for (var name in endpoints) {
+      var endpoint = endpoints[name];
+      if (endpoint.method !== method) continue;
+      var keys = [];
+      var pattern = endpoint.path.replace(/:(\w+)/g, function (_, key) {
+        keys.push(key);
+        return "([^/]+)";
+      });
+      var found = pathname.match(new RegExp(`^${pattern}$`));
+      if (!found) continue;
+      var params = {};
+      keys.forEach(function (key, i) {
+        params[key] = decodeURIComponent(found[i + 1]);
+      });
+      return { name, endpoint, params };
+    }
+    return null;
+  },
+  // Returns why a value doesn't fit the types in a contract, if it doesn't.
+  checkTypes: function (types, value) {
+    if (types === "array") {
+      return Array.isArray(value) ? null : "Expected an array.";
+    }
+    for (var key in types || {}) {
+      var type = types[key].replace("?", "");
+      var actual = Array.isArray(value?.[key]) ? "array" : typeof value?.[key];
+      if (value?.[key] == null && types[key].endsWith("?")) continue;
+      if (actual !== type) {
+        return `Expected ${key} to be a ${type}, not ${actual}.`;
+      }
+    }
+    return null;
+  },
+  // Works like fetch, with a path on the server instead of a URL.
+  fetch: async function (path, init = {}) {
+    var url = await ScratchTools.server.getUrl();
+    if (url !== ScratchTools.server.MOCK_URL) {
+      return await globalThis.fetch(url + path, init);
+    }
+    var { status, body } = await ScratchTools.server.askMock({
+      method: (init.method || "GET").toUpperCase(),
+      path,
+      body: init.body ? JSON.parse(init.body) : null,
+    });
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { "Content-Type": "application/json" },
+    });
+  },
+  get: async function (path) {
+    return await (await ScratchTools.server.fetch(path)).json();
+  },
+  post: async function (path, body) {
+    return await (
+      await ScratchTools.server.fetch(path, {
+        method: "POST",
+        headers: {
+          Accept: "application/json",
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+      })
+    ).json();
+  },
+  // Opens a WebSocket to the server, or a stand-in for one from
+  // api/server-mock.js.
+  socket: async function (path = "/") {
+    var url = await ScratchTools.server.getUrl();
+    if (url === ScratchTools.server.MOCK_URL) {
+      if (!ScratchTools.serverMock) {
+        throw new Error("Mock sockets need api/server-mock.js on the page.");
+      }
+      return new ScratchTools.serverMock.Socket(path);
+    }
+    return new WebSocket(url.replace(/^http/, "ws") + path);
+  },
+  // Mock requests are answered by api/server-mock.js where it's loaded (as in
+  // the service worker), and sent to the service worker everywhere else, so
+  // every tab sees the same mock data. Scratch pages without the rest of the
+  // API, like the sign-in pages, send them to ScratchTools.id.
+  askMock: function (request) {
+    if (ScratchTools.serverMock) {
+      return ScratchTools.serverMock.handle(request);
+    }
+    if (ScratchTools.sendMessage) {
+      return ScratchTools.sendMessage("server-mock", request);
+    }
+    return new Promise(function (resolve, reject) {
+      chrome.runtime.sendMessage(
+        ...(ScratchTools.id ? [ScratchTools.id] : []),
+        { source: "message-api", message: "server-mock", content: request },
+        function (response) {
+          if (!response) {
+            reject(new Error(chrome.runtime.lastError?.message));
+          } else if (response.error) {
+            reject(new Error(response.error.message));
+          } else {
+            resolve(response.data);
+          }
+        }
+      );
+    });
+  },
+};
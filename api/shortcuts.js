@@ -0,0 +1,137 @@
+var ScratchTools = ScratchTools || {};
+
+// Every feature hotkey goes through here, so bindings can be listed, checked
+// against each other and Scratch's own shortcuts, and rebound from the popup.
+// Rebindings are stored in chrome.storage.sync as "shortcuts", keyed by
+// "<feature id>/<shortcut id>". Options of the keybinding type are shortcuts
+// too, with the option's id.
+ScratchTools.shortcuts = {
+  // Shortcuts the Scratch editor and paint editor already handle.
+  SCRATCH: [
+    { name: "Undo", binding: { key: "Z", ctrl: true } },
+    { name: "Redo", binding: { key: "Z", ctrl: true, shift: true } },
+    { name: "Redo", binding: { key: "Y", ctrl: true } },
+    { name: "Copy", binding: { key: "C", ctrl: true } },
+    { name: "Paste", binding: { key: "V", ctrl: true } },
+    { name: "Cut", binding: { key: "X", ctrl: true } },
+    { name: "Select all", binding: { key: "A", ctrl: true } },
+    { name: "Delete", binding: { key: "Delete" } },
+    { name: "Delete", binding: { key: "Backspace" } },
+  ],
+  // Shortcuts declared in data.json (or features.json for older features)
+  // as "shortcuts": [{ "id", "name", "default" }].
+  getDeclared: function (featureId) {
+    var data = ScratchTools.Features?.data?.find(
+      (el) => (el.id || el.file) === featureId
+    );
+    return [
+      ...(data?.shortcuts || []),
+      ...ScratchTools.shortcuts.fromOptions(data?.options),
+    ];
+  },
+  fromOptions: function (options) {
+    var { normalize, parse, TYPES } = ScratchTools.options;
+    return (options || [])
+      .filter((option) => normalize(option).type === TYPES.keybinding)
+      .map((option) => ({
+        id: option.id,
+        name: option.name,
+        default: parse(option, option.default) || null,
+      }));
+  },
+  get: function (featureId, id, overrides) {
+    overrides = overrides || ScratchTools.Storage?.shortcuts || {};
+    var key = `${featureId}/${id}`;
+    if (Object.prototype.hasOwnProperty.call(overrides, key)) {
+      return overrides[key];
+    }
+    return (
+      ScratchTools.shortcuts
+        .getDeclared(featureId)
+        .find((el) => el.id === id)?.default || null
+    );
+  },
+  isSame: function (a, b) {
+    if (!a?.key || !b?.key) return false;
+    return (
+      a.key.toUpperCase() === b.key.toUpperCase() &&
+      (ScratchTools.options.isPrintedKey(a.key) || !!a.shift === !!b.shift) &&
+      !!a.ctrl === !!b.ctrl &&
+      !!a.alt === !!b.alt
+    );
+  },
+  // Lists what else uses a binding. Shortcuts are given as
+  // [{ feature, id, name, binding }].
+  getConflicts: function (binding, shortcuts, except) {
+    var conflicts = ScratchTools.shortcuts.SCRATCH.filter((el) =>
+      ScratchTools.shortcuts.isSame(el.binding, binding)
+    ).map((el) => ({ feature: "scratch", name: el.name }));
+    shortcuts.forEach(function (el) {
+      if (el === except) return;
+      if (ScratchTools.shortcuts.isSame(el.binding, binding)) {
+        conflicts.push(el);
+      }
+    });
+    return conflicts;
+  },
+};
+
+let registeredShortcuts = [];
+
+function isTypingTarget(element) {
+  return (
+    element?.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(element?.tagName)
+  );
+}
+
+// Options: callback, allowInInputs (also fire while typing in a text field)
+// and preventDefault (true unless set to false).
+ScratchTools.registerShortcut = function (featureId, id, options) {
+  var shortcut = {
+    feature: featureId,
+    id,
+    allowInInputs: false,
+    preventDefault: true,
+    ...options,
+  };
+  var conflicts = ScratchTools.shortcuts.getConflicts(
+    ScratchTools.shortcuts.get(featureId, id),
+    registeredShortcuts.map((el) => ({
+      ...el,
+      binding: ScratchTools.shortcuts.get(el.feature, el.id),
+    }))
+  );
+  conflicts.forEach(function (conflict) {
+    ste.console.warn(
+      `The ${id} shortcut conflicts with ${
+        conflict.feature === "scratch"
+          ? `Scratch's ${conflict.name} shortcut`
+          : `${conflict.feature}/${conflict.id}`
+      }.`,
+      featureId
+    );
+  });
+  registeredShortcuts.push(shortcut);
+  return {
+    remove: function () {
+      registeredShortcuts = registeredShortcuts.filter(
+        (el) => el !== shortcut
+      );
+    },
+  };
+};
+
+document.addEventListener(
+  "keydown",
+  function (e) {
+    registeredShortcuts.forEach(function (shortcut) {
+      if (!shortcut.allowInInputs && isTypingTarget(e.target)) return;
+      var binding = ScratchTools.shortcuts.get(shortcut.feature, shortcut.id);
+      if (!ScratchTools.options.matchesKeybinding(binding, e)) return;
+      if (shortcut.preventDefault) e.preventDefault();
+      shortcut.callback(e);
+    });
+  },
+  true
+);
@@ -1,252 +1,344 @@
-// We are temporarily using Scratch Addons' appendToSharedSpace method for compatibility reasons.
+// Shared spaces are places on Scratch's pages that several features add
+// elements to, kept in order next to each other. Each space resolves the
+// element to insert into, and the children the space starts after ("from")
+// and ends before ("until"). Spaces started as a copy of Scratch Addons' list.
 
-ScratchTools.appendToSharedSpace = function ({ space, element, order, scope }) {
-  order += 0.5;
-  const q = document.querySelector.bind(document);
-  const sharedSpaces = {
-    stageHeader: {
-      // Non-fullscreen stage header only
-      element: () => q("[class^='stage-header_stage-size-row']"),
-      from: () => [],
-      until: () => [
-        // Small/big stage buttons (for editor mode)
-        q("[class^='stage-header_stage-size-toggle-group']"),
-        // Full screen icon (for player mode)
-        q("[class^='stage-header_stage-size-row']").lastChild,
-      ],
-    },
-    fullscreenStageHeader: {
-      // Fullscreen stage header only
-      element: () => q("[class^='stage-header_stage-menu-wrapper']"),
-      from: function () {
-        let emptyDiv = this.element().querySelector(".sa-spacer");
-        if (!emptyDiv) {
-          emptyDiv = document.createElement("div");
-          emptyDiv.style.marginLeft = "auto";
-          emptyDiv.className = "sa-spacer";
-          this.element().insertBefore(emptyDiv, this.element().lastChild);
-        }
-        return [emptyDiv];
-      },
-      until: () => [q("[class^='stage-header_stage-menu-wrapper']").lastChild],
-    },
-    afterGreenFlag: {
-      element: () => q("[class^='controls_controls-container']"),
-      from: () => [],
-      until: () => [q("[class^='stop-all_stop-all']")],
-    },
-    afterStopButton: {
-      element: () => q("[class^='controls_controls-container']"),
-      from: () => [q("[class^='stop-all_stop-all']")],
-      until: () => [],
+const querySpace = document.querySelector.bind(document);
+
+let sharedSpaces = {
+  stageHeader: {
+    // Non-fullscreen stage header only
+    element: () => querySpace("[class^='stage-header_stage-size-row']"),
+    from: () => [],
+    until: () => [
+      // Small/big stage buttons (for editor mode)
+      querySpace("[class^='stage-header_stage-size-toggle-group']"),
+      // Full screen icon (for player mode)
+      querySpace("[class^='stage-header_stage-size-row']").lastChild,
+    ],
+  },
+  fullscreenStageHeader: {
+    // Fullscreen stage header only
+    element: () => querySpace("[class^='stage-header_stage-menu-wrapper']"),
+    from: function () {
+      let emptyDiv = this.element().querySelector(".sa-spacer");
+      if (!emptyDiv) {
+        emptyDiv = document.createElement("div");
+        emptyDiv.style.marginLeft = "auto";
+        emptyDiv.className = "sa-spacer";
+        this.element().insertBefore(emptyDiv, this.element().lastChild);
+      }
+      return [emptyDiv];
     },
-    beforeProjectActionButtons: {
-      element: () => q(".flex-row.subactions > .flex-row.action-buttons"),
-      from: () => [],
-      until: () => [q(".report-button"), q(".action-buttons > div")],
+    until: () => [
+      querySpace("[class^='stage-header_stage-menu-wrapper']").lastChild,
+    ],
+  },
+  afterGreenFlag: {
+    element: () => querySpace("[class^='controls_controls-container']"),
+    from: () => [],
+    until: () => [querySpace("[class^='stop-all_stop-all']")],
+  },
+  afterStopButton: {
+    element: () => querySpace("[class^='controls_controls-container']"),
+    from: () => [querySpace("[class^='stop-all_stop-all']")],
+    until: () => [],
+  },
+  beforeProjectActionButtons: {
+    element: () =>
+      querySpace(".flex-row.subactions > .flex-row.action-buttons"),
+    from: () => [],
+    until: () => [
+      querySpace(".report-button"),
+      querySpace(".action-buttons > div"),
+    ],
+  },
+  afterCopyLinkButton: {
+    // Unshared projects have no copy link button, and their action buttons
+    // aren't in the subactions row, so elements go at the end of whichever
+    // row of action buttons there is.
+    element: () =>
+      querySpace(".flex-row.subactions > .flex-row.action-buttons") ||
+      querySpace(".preview .inner .flex-row.action-buttons"),
+    from: () => [querySpace(".copy-link-button")],
+    until: () => [],
+  },
+  afterSoundTab: {
+    element: () => querySpace("[class^='react-tabs_react-tabs__tab-list']"),
+    from: () => [
+      querySpace("[class^='react-tabs_react-tabs__tab-list']").children[2],
+    ],
+    // Element used in find-bar addon
+    until: () => [querySpace(".sa-find-bar")],
+  },
+  forumsBeforePostReport: {
+    element: (scope) => scope.querySelector(".postfootright > ul"),
+    decorate: (element) => element.appendChild(document.createTextNode(" | ")),
+    from: () => [],
+    until: function (scope) {
+      let reportButton = scope.querySelector(
+        ".postfootright > ul > li.postreport, .postfootright > ul > li.pseudopostreport"
+      );
+      if (!reportButton) {
+        // User is logged out, so there's no report button on the post footer
+        // Create a pseudo post report button as a separator between this space
+        // and the forumsAfterPostReport space.
+        reportButton = Object.assign(document.createElement("li"), {
+          className: "pseudopostreport",
+          textContent: " 🞄 ",
+        });
+        this.element(scope).appendChild(reportButton);
+      }
+      return [reportButton];
     },
-    afterCopyLinkButton: {
-      element: () => q(".flex-row.subactions > .flex-row.action-buttons"),
-      from: () => [q(".copy-link-button")],
-      until: () => [],
+  },
+  forumsAfterPostReport: {
+    element: (scope) => scope.querySelector(".postfootright > ul"),
+    decorate: (element) => element.prepend(document.createTextNode("| ")),
+    from: function (scope) {
+      let reportButton = scope.querySelector(
+        ".postfootright > ul > li.postreport, .postfootright > ul > li.pseudopostreport"
+      );
+      if (!reportButton) {
+        // User is logged out. See comment on forumsBeforePostReport space
+        reportButton = Object.assign(document.createElement("li"), {
+          className: "pseudopostreport",
+          textContent: " 🞄 ",
+        });
+        this.element(scope).appendChild(reportButton);
+      }
+      return [reportButton];
     },
-    afterSoundTab: {
-      element: () => q("[class^='react-tabs_react-tabs__tab-list']"),
-      from: () => [q("[class^='react-tabs_react-tabs__tab-list']").children[2]],
-      // Element used in find-bar addon
-      until: () => [q(".sa-find-bar")],
+    until: (scope) => [
+      scope.querySelector(".postfootright > ul > li.postquote"),
+    ],
+  },
+  beforeRemixButton: {
+    element: () => querySpace(".project-buttons"),
+    from: () => [],
+    until: () => [
+      querySpace(".project-buttons > .remix-button:not(.sa-remix-button)"),
+      querySpace(".project-buttons > .see-inside-button"),
+    ],
+  },
+  studioCuratorsTab: {
+    element: () => querySpace(".studio-tabs div:nth-child(2)"),
+    from: () => [],
+    // .commenting-status only exists if account is muted
+    until: () => [
+      querySpace(".studio-tabs div:nth-child(2) > .commenting-status"),
+      querySpace(".studio-tabs div:nth-child(2) > .studio-members"),
+    ],
+  },
+  forumToolbarTextDecoration: {
+    element: () => querySpace(".markItUpHeader > ul"),
+    from: () => [querySpace(".markItUpButton4")],
+    until: () => [querySpace(".markItUpButton4 ~ .markItUpSeparator")],
+  },
+  forumToolbarLinkDecoration: {
+    element: () => querySpace(".markItUpHeader > ul"),
+    from: () => [querySpace(".markItUpButton6")],
+    until: () => [querySpace(".markItUpButton6 ~ .markItUpSeparator")],
+  },
+  forumToolbarFont: {
+    element: () => querySpace(".markItUpHeader > ul"),
+    from: () => [querySpace(".markItUpButton7")],
+    until: () => [querySpace(".markItUpButton7 ~ .markItUpSeparator")],
+  },
+  forumToolbarList: {
+    element: () => querySpace(".markItUpHeader > ul"),
+    from: () => [querySpace(".markItUpButton10")],
+    until: () => [querySpace(".markItUpButton10 ~ .markItUpSeparator")],
+  },
+  forumToolbarDecoration: {
+    element: () => querySpace(".markItUpHeader > ul"),
+    from: () => [querySpace(".markItUpButton12")],
+    until: () => [querySpace(".markItUpButton12 ~ .markItUpSeparator")],
+  },
+  forumToolbarEnvironment: {
+    element: () => querySpace(".markItUpHeader > ul"),
+    from: () => [querySpace(".markItUpButton13")],
+    until: () => [querySpace(".markItUpButton13 ~ .markItUpSeparator")],
+  },
+  forumToolbarScratchblocks: {
+    element: () => querySpace(".markItUpHeader > ul"),
+    from: () => [querySpace(".markItUpButton14")],
+    until: () => [querySpace(".markItUpButton14 ~ .markItUpSeparator")],
+  },
+  forumToolbarTools: {
+    element: () => querySpace(".markItUpHeader > ul"),
+    from: () => [querySpace(".markItUpButton16")],
+    until: () => [],
+  },
+  assetContextMenuAfterExport: {
+    element: (scope) => scope,
+    from: (scope) => {
+      return Array.prototype.filter.call(
+        scope.children,
+        (c) =>
+          c.textContent ===
+          getScratchMessage("gui.spriteSelectorItem.contextMenuExport")
+      );
     },
-    forumsBeforePostReport: {
-      element: () => scope.querySelector(".postfootright > ul"),
-      from: () => [],
-      until: function () {
-        let reportButton = scope.querySelector(
-          ".postfootright > ul > li.postreport, .postfootright > ul > li.pseudopostreport"
-        );
-        if (!reportButton) {
-          // User is logged out, so there's no report button on the post footer
-          // Create a pseudo post report button as a separator between this space
-          // and the forumsAfterPostReport space.
-          reportButton = Object.assign(document.createElement("li"), {
-            className: "pseudopostreport",
-            textContent: " 🞄 ",
-          });
-          this.element().appendChild(reportButton);
-        }
-        return [reportButton];
-      },
+    until: (scope) => {
+      return Array.prototype.filter.call(
+        scope.children,
+        (c) =>
+          c.textContent ===
+          getScratchMessage("gui.spriteSelectorItem.contextMenuDelete")
+      );
     },
-    forumsAfterPostReport: {
-      element: () => scope.querySelector(".postfootright > ul"),
-      from: function () {
-        let reportButton = scope.querySelector(
-          ".postfootright > ul > li.postreport, .postfootright > ul > li.pseudopostreport"
-        );
-        if (!reportButton) {
-          // User is logged out. See comment on forumsBeforePostReport space
-          reportButton = Object.assign(document.createElement("li"), {
-            className: "pseudopostreport",
-            textContent: " 🞄 ",
+  },
+  paintEditorZoomControls: {
+    element: () => {
+      return (
+        querySpace(".sa-paintEditorZoomControls-wrapper") ||
+        (() => {
+          const wrapper = Object.assign(document.createElement("div"), {
+            className: "sa-paintEditorZoomControls-wrapper",
           });
-          this.element().appendChild(reportButton);
-        }
-        return [reportButton];
-      },
-      until: () => [scope.querySelector(".postfootright > ul > li.postquote")],
-    },
-    beforeRemixButton: {
-      element: () => q(".project-buttons"),
-      from: () => [],
-      until: () => [
-        q(".project-buttons > .remix-button:not(.sa-remix-button)"),
-        q(".project-buttons > .see-inside-button"),
-      ],
-    },
-    studioCuratorsTab: {
-      element: () => q(".studio-tabs div:nth-child(2)"),
-      from: () => [],
-      // .commenting-status only exists if account is muted
-      until: () => [
-        q(".studio-tabs div:nth-child(2) > .commenting-status"),
-        q(".studio-tabs div:nth-child(2) > .studio-members"),
-      ],
-    },
-    forumToolbarTextDecoration: {
-      element: () => q(".markItUpHeader > ul"),
-      from: () => [q(".markItUpButton4")],
-      until: () => [q(".markItUpButton4 ~ .markItUpSeparator")],
-    },
-    forumToolbarLinkDecoration: {
-      element: () => q(".markItUpHeader > ul"),
-      from: () => [q(".markItUpButton6")],
-      until: () => [q(".markItUpButton6 ~ .markItUpSeparator")],
-    },
-    forumToolbarFont: {
-      element: () => q(".markItUpHeader > ul"),
-      from: () => [q(".markItUpButton7")],
-      until: () => [q(".markItUpButton7 ~ .markItUpSeparator")],
-    },
-    forumToolbarList: {
-      element: () => q(".markItUpHeader > ul"),
-      from: () => [q(".markItUpButton10")],
-      until: () => [q(".markItUpButton10 ~ .markItUpSeparator")],
-    },
-    forumToolbarDecoration: {
-      element: () => q(".markItUpHeader > ul"),
-      from: () => [q(".markItUpButton12")],
-      until: () => [q(".markItUpButton12 ~ .markItUpSeparator")],
-    },
-    forumToolbarEnvironment: {
-      element: () => q(".markItUpHeader > ul"),
-      from: () => [q(".markItUpButton13")],
-      until: () => [q(".markItUpButton13 ~ .markItUpSeparator")],
-    },
-    forumToolbarScratchblocks: {
-      element: () => q(".markItUpHeader > ul"),
-      from: () => [q(".markItUpButton14")],
-      until: () => [q(".markItUpButton14 ~ .markItUpSeparator")],
-    },
-    forumToolbarTools: {
-      element: () => q(".markItUpHeader > ul"),
-      from: () => [q(".markItUpButton16")],
-      until: () => [],
-    },
-    assetContextMenuAfterExport: {
-      element: () => scope,
-      from: () => {
-        return Array.prototype.filter.call(
-          scope.children,
-          (c) =>
-            c.textContent ===
-            this.scratchMessage("gui.spriteSelectorItem.contextMenuExport")
-        );
-      },
-      until: () => {
-        return Array.prototype.filter.call(
-          scope.children,
-          (c) =>
-            c.textContent ===
-            this.scratchMessage("gui.spriteSelectorItem.contextMenuDelete")
-        );
-      },
-    },
-    paintEditorZoomControls: {
-      element: () => {
-        return (
-          q(".sa-paintEditorZoomControls-wrapper") ||
-          (() => {
-            const wrapper = Object.assign(document.createElement("div"), {
-              className: "sa-paintEditorZoomControls-wrapper",
-            });
 
-            wrapper.style.display = "flex";
-            wrapper.style.flexDirection = "row-reverse";
-            wrapper.style.height = "calc(1.95rem + 2px)";
+          wrapper.style.display = "flex";
+          wrapper.style.flexDirection = "row-reverse";
+          wrapper.style.height = "calc(1.95rem + 2px)";
 
-            const zoomControls = q("[class^='paint-editor_zoom-controls']");
+          const zoomControls = querySpace(
+            "[class^='paint-editor_zoom-controls']"
+          );
 
-            zoomControls.replaceWith(wrapper);
-            wrapper.appendChild(zoomControls);
+          zoomControls.replaceWith(wrapper);
+          wrapper.appendChild(zoomControls);
 
-            return wrapper;
-          })()
-        );
-      },
-      from: () => [],
-      until: () => [],
+          return wrapper;
+        })()
+      );
     },
-    assetContextMenuAfterDelete: {
-      element: () => scope,
-      from: () => {
-        return Array.prototype.filter.call(
-          scope.children,
-          (c) =>
-            c.textContent ===
-            this.scratchMessage("gui.spriteSelectorItem.contextMenuDelete")
-        );
-      },
-      until: () => [],
+    from: () => [],
+    until: () => [],
+  },
+  assetContextMenuAfterDelete: {
+    element: (scope) => scope,
+    from: (scope) => {
+      return Array.prototype.filter.call(
+        scope.children,
+        (c) =>
+          c.textContent ===
+          getScratchMessage("gui.spriteSelectorItem.contextMenuDelete")
+      );
     },
-    monitor: {
-      element: () => scope,
-      from: () => {
-        const endOfVanilla = [
-          this.scratchMessage("gui.monitor.contextMenu.large"),
-          this.scratchMessage("gui.monitor.contextMenu.slider"),
-          this.scratchMessage("gui.monitor.contextMenu.sliderRange"),
-          this.scratchMessage("gui.monitor.contextMenu.export"),
-        ];
-        const potential = Array.prototype.filter.call(scope.children, (c) =>
-          endOfVanilla.includes(c.textContent)
-        );
-        return [potential[potential.length - 1]];
-      },
-      until: () => [],
+    until: () => [],
+  },
+  monitor: {
+    element: (scope) => scope,
+    from: (scope) => {
+      const endOfVanilla = [
+        getScratchMessage("gui.monitor.contextMenu.large"),
+        getScratchMessage("gui.monitor.contextMenu.slider"),
+        getScratchMessage("gui.monitor.contextMenu.sliderRange"),
+        getScratchMessage("gui.monitor.contextMenu.export"),
+      ];
+      const potential = Array.prototype.filter.call(scope.children, (c) =>
+        endOfVanilla.includes(c.textContent)
+      );
+      return [potential[potential.length - 1]];
     },
-    afterProfileCountry: {
-      element: () =>
-        q(".shared-after-country-space") ||
-        (() => {
-          const wrapper = Object.assign(document.createElement("div"), {
-            className: "shared-after-country-space",
-          });
+    until: () => [],
+  },
+  afterProfileCountry: {
+    element: () =>
+      querySpace(".shared-after-country-space") ||
+      (() => {
+        const wrapper = Object.assign(document.createElement("div"), {
+          className: "shared-after-country-space",
+        });
 
-          wrapper.style.display = "inline-block";
+        wrapper.style.display = "inline-block";
 
-          document.querySelector(".location").appendChild(wrapper)
+        document.querySelector(".location").appendChild(wrapper)
 
-          return wrapper;
-        })(),
-      from: () => [],
-      until: () => [],
-    },
-  };
+        return wrapper;
+      })(),
+    from: () => [],
+    until: () => [],
+  },
+  projectActionButtons: {
+    element: () =>
+      querySpace(".flex-row.subactions > .flex-row.action-buttons"),
+    from: () => [],
+    until: () => [],
+  },
+  menuBarBeforeAccount: {
+    element: () => querySpace("[class*='menu-bar_account-info-group_']"),
+    from: () => [],
+    until: () => [
+      querySpace(
+        "[class*='menu-bar_account-info-group_'] > :not([data-sa-shared-space-order])"
+      ),
+    ],
+  },
+  // Scoped to a project in the My Stuff list (ul.media-list > li).
+  myStuffItemActions: {
+    element: (scope) =>
+      scope.querySelector("a[data-control='edit']")?.parentElement,
+    from: (scope) => [scope.querySelector("a[data-control='edit']")],
+    until: () => [],
+  },
+  profileHeader: {
+    element: () => querySpace("#profile-data .header-text"),
+    from: () => [querySpace("#profile-data .header-text > .profile-details")],
+    until: () => [],
+  },
+  studioHeader: {
+    element: () => querySpace(".studio-info-footer"),
+    from: () => [querySpace(".studio-info-footer-stats")],
+    until: () => [],
+  },
+  paintToolbar: {
+    element: () => querySpace("[class*='fixed-tools_row_']"),
+    from: () => [],
+    until: () => [],
+  },
+  paintModeSelector: {
+    element: () => querySpace("[class*='paint-editor_mode-selector_']"),
+    from: () => [],
+    until: () => [],
+  },
+  // The tools for the current mode, such as copy, paste and delete.
+  paintModeTools: {
+    element: () =>
+      querySpace("[class*='mode-tools_mod-labeled-icon-height_']"),
+    from: () => [],
+    until: () => [],
+  },
+  soundEffects: {
+    element: () =>
+      querySpace(
+        "div[class*='sound-editor_row_'][class*='sound-editor_row-reverse_']"
+      ),
+    from: () => [],
+    until: () => [],
+  },
+};
+
+// Menus are translated, so some spaces find their boundaries by Scratch's
+// own messages.
+function getScratchMessage(id) {
+  return window.__steRedux?.state?.locales?.messages?.[id];
+}
 
+function insertIntoSharedSpace({ space, element, order, scope }) {
   const spaceInfo = sharedSpaces[space];
-  const spaceElement = spaceInfo.element();
-  if (!spaceElement) return false;
-  const from = spaceInfo.from();
-  const until = spaceInfo.until();
+  if (!spaceInfo) throw new Error(`"${space}" is not a shared space.`);
+  let spaceElement, from, until;
+  // Boundaries often look up elements Scratch hasn't rendered yet.
+  try {
+    spaceElement = spaceInfo.element(scope);
+    if (!spaceElement) return false;
+    from = spaceInfo.from(scope).filter(Boolean);
+    until = spaceInfo.until(scope).filter(Boolean);
+  } catch (err) {
+    return false;
+  }
 
   element.dataset.saSharedSpaceOrder = order;
 
@@ -258,7 +350,9 @@ ScratchTools.appendToSharedSpace = function ({ space, element, order, scope }) {
   // This will stay null if we need to append at the end of space
   let insertAfter = null;
 
-  const children = Array.from(spaceElement.children);
+  const children = Array.from(spaceElement.children).filter(
+    (child) => child !== element
+  );
   for (let indexString of children.keys()) {
     const child = children[indexString];
     const i = Number(indexString);
@@ -297,11 +391,9 @@ ScratchTools.appendToSharedSpace = function ({ space, element, order, scope }) {
   if (!foundFrom) return false;
   // It doesn't matter if we didn't find an "until"
 
-  // Separators in forum post spaces
-  if (space === "forumsBeforePostReport") {
-    element.appendChild(document.createTextNode(" | "));
-  } else if (space === "forumsAfterPostReport") {
-    element.prepend(document.createTextNode("| "));
+  if (spaceInfo.decorate && !element.dataset.steSpaceDecorated) {
+    element.dataset.steSpaceDecorated = true;
+    spaceInfo.decorate(element);
   }
 
   if (insertAfter === null) {
@@ -317,4 +409,70 @@ ScratchTools.appendToSharedSpace = function ({ space, element, order, scope }) {
     spaceElement.insertBefore(element, insertAfter.nextSibling);
   }
   return true;
+}
+
+// Elements added with ScratchTools.spaces.add are put back whenever React
+// re-renders their space, checked at most once per frame.
+let sharedSpaceElements = [];
+let sharedSpaceCheckScheduled = false;
+let sharedSpaceObserver = new MutationObserver(function () {
+  if (sharedSpaceCheckScheduled) return;
+  sharedSpaceCheckScheduled = true;
+  requestAnimationFrame(function () {
+    sharedSpaceCheckScheduled = false;
+    sharedSpaceElements.forEach(placeSharedSpaceElement);
+  });
+});
+
+function placeSharedSpaceElement(entry) {
+  if (entry.scope && !entry.scope.isConnected) return;
+  let parent = entry.element.parentElement;
+  if (entry.element.isConnected) {
+    try {
+      if (parent === sharedSpaces[entry.space].element(entry.scope)) return;
+    } catch (err) {
+      return;
+    }
+  }
+  insertIntoSharedSpace(entry);
+}
+
+ScratchTools.spaces = {
+  // A space is { element, from, until } where each is a function of the
+  // scope element passed by whoever appends to it, and decorate optionally
+  // changes elements the first time they're added.
+  define: function (name, space) {
+    if (sharedSpaces[name]) {
+      throw new Error(`The "${name}" shared space already exists.`);
+    }
+    sharedSpaces[name] = { from: () => [], until: () => [], ...space };
+  },
+  has: (name) => !!sharedSpaces[name],
+  // Adds the element now if the space exists yet, and keeps it there.
+  add: function ({ space, element, order = 0, scope }) {
+    if (!sharedSpaces[space]) {
+      throw new Error(`"${space}" is not a shared space.`);
+    }
+    let entry = { space, element, order: order + 0.5, scope };
+    sharedSpaceElements.push(entry);
+    placeSharedSpaceElement(entry);
+    if (sharedSpaceElements.length === 1) {
+      sharedSpaceObserver.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+      });
+    }
+    return {
+      remove: function () {
+        sharedSpaceElements = sharedSpaceElements.filter((el) => el !== entry);
+        if (!sharedSpaceElements.length) sharedSpaceObserver.disconnect();
+        element.remove();
+      },
+    };
+  },
+};
+
+// Adds the element once and returns whether the space was found.
+ScratchTools.appendToSharedSpace = function ({ space, element, order, scope }) {
+  return insertIntoSharedSpace({ space, element, order: order + 0.5, scope });
 };
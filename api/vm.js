@@ -58,76 +58,6 @@ ScratchTools.traps = {
   getScratchBlocks,
 };
 
-let openContextMenus = [];
-
-const waitForContextMenu = function ({ id, callback, block, disabled, label }) {
-  var insertion = openContextMenus.push({
-    id,
-    block,
-    callback,
-    enabled: !disabled,
-    label,
-  });
-  return {
-    delete: function () {
-      delete openContextMenus[openContextMenus.indexOf(insertion)];
-    },
-  };
-};
-
-let handledProcedures = {};
-ScratchTools.waitForElements(
-  ".blocklyDraggable",
-  function (el) {
-    if (el.dataset.id) {
-      var block = ScratchTools.traps
-        .getBlockly()
-        .getMainWorkspace()
-        .getBlockById(el.dataset.id);
-      if (block) {
-        if (block.type === "procedures_definition") {
-          if (!handledProcedures[block.id]) {
-            handledProcedures[block.id] = block.customContextMenu;
-          }
-          block.customContextMenu = function (menu) {
-            handledProcedures[block.id](menu);
-            openContextMenus.forEach(function (option) {
-              if (option.block === block.id) {
-                menu.push({
-                  enabled: option.enabled,
-                  text: option.label,
-                  callback: function (e) {
-                    option.callback(e);
-                  },
-                });
-              }
-            });
-          };
-        } else {
-          if (!block.customContextMenu) {
-            block.customContextMenu = function (menu) {
-              openContextMenus.forEach(function (option) {
-                if (option.block === block.id) {
-                  menu.push({
-                    enabled: option.enabled,
-                    text: option.label,
-                    callback: function (e) {
-                      option.callback(e);
-                    },
-                  });
-                }
-              });
-            };
-          }
-        }
-      }
-    }
-  },
-  "custom-menu-manager",
-  false
-);
-
-ScratchTools.traps.createContextMenu = waitForContextMenu;
 
 ScratchTools.Scratch.contextMenus = {};
 ScratchTools.Scratch.waitForContextMenu = function (info) {
@@ -284,3 +214,215 @@ ScratchTools.waitForElements(
   "purple-notification",
   false
 );
+
+// Typed events for changes to the project. The VM is only hooked once
+// something listens, and the per-frame checks (clone count and variables) only
+// run while they have listeners.
+const VM_EVENTS = [
+  "projectLoaded",
+  "projectStarted",
+  "projectStopped",
+  "targetCreated",
+  "targetRemoved",
+  "targetRenamed",
+  "editingTargetChanged",
+  "blockCreated",
+  "blockChanged",
+  "blockDeleted",
+  "variableChanged",
+  "cloneCountChanged",
+  "monitorUpdated",
+  "frameStepped",
+];
+
+let vmEventListeners = {};
+let vmEventsHooked = false;
+let knownTargets = new Map();
+let lastEditingTarget = null;
+let lastCloneCount = 0;
+let knownVariables = new Map();
+
+function emitVmEvent(type, detail) {
+  (vmEventListeners[type] || []).forEach(function (listener) {
+    try {
+      listener(detail);
+    } catch (err) {
+      ste.console.error(err, "ste-traps");
+    }
+  });
+}
+
+function hasVmListeners(type) {
+  return !!vmEventListeners[type]?.length;
+}
+
+// Sprites and the stage, by id, so sprite changes can be told apart when the
+// VM reports its target list.
+function snapshotTargets(vm) {
+  return new Map(
+    vm.runtime.targets
+      .filter((target) => target.isOriginal)
+      .map((target) => [target.id, { target, name: target.getName() }])
+  );
+}
+
+function updateTargets(vm) {
+  let targets = snapshotTargets(vm);
+  targets.forEach(function ({ target, name }, id) {
+    let known = knownTargets.get(id);
+    if (!known) {
+      emitVmEvent("targetCreated", { target });
+    } else if (known.name !== name) {
+      emitVmEvent("targetRenamed", { target, oldName: known.name, name });
+    }
+  });
+  knownTargets.forEach(function ({ target }, id) {
+    if (!targets.has(id)) emitVmEvent("targetRemoved", { target });
+  });
+  knownTargets = targets;
+
+  if (vm.editingTarget !== lastEditingTarget) {
+    let previous = lastEditingTarget;
+    lastEditingTarget = vm.editingTarget;
+    emitVmEvent("editingTargetChanged", { target: vm.editingTarget, previous });
+  }
+}
+
+function getVariableValue(variable) {
+  return Array.isArray(variable.value)
+    ? variable.value.join("\n")
+    : variable.value;
+}
+
+// Variables have no change event, so their values are compared each frame.
+// Clones are left out, since their variables come and go with them.
+function checkVariables(vm) {
+  let seen = new Set();
+  vm.runtime.targets
+    .filter((target) => target.isOriginal)
+    .forEach(function (target) {
+      Object.values(target.variables).forEach(function (variable) {
+        let key = `${target.id}/${variable.id}`;
+        let value = getVariableValue(variable);
+        seen.add(key);
+        if (knownVariables.has(key) && knownVariables.get(key) !== value) {
+          emitVmEvent("variableChanged", {
+            target,
+            variable,
+            value: variable.value,
+          });
+        }
+        knownVariables.set(key, value);
+      });
+    });
+  knownVariables.forEach(function (value, key) {
+    if (!seen.has(key)) knownVariables.delete(key);
+  });
+}
+
+function checkCloneCount(vm) {
+  let count = vm.runtime._cloneCounter;
+  if (count === lastCloneCount) return;
+  lastCloneCount = count;
+  emitVmEvent("cloneCountChanged", { count });
+}
+
+function findBlocksTarget(vm, blocks) {
+  return vm.runtime.targets.find(
+    (target) => target.isOriginal && target.blocks === blocks
+  );
+}
+
+// Blocks are changed through the Blocks class, which emits nothing, so its
+// methods are wrapped. Blocks that don't belong to a sprite yet (while a
+// project loads, or in the flyout) are ignored.
+function patchBlocks(vm) {
+  let Blocks = vm.runtime.targets[0]?.blocks.constructor;
+  if (!Blocks || Blocks.prototype.steEventsPatched) return;
+  Blocks.prototype.steEventsPatched = true;
+  let methods = {
+    createBlock: (target, [block]) =>
+      emitVmEvent("blockCreated", { target, block }),
+    changeBlock: (target, [args]) =>
+      emitVmEvent("blockChanged", { target, id: args.id, change: args }),
+    moveBlock: (target, [e]) =>
+      emitVmEvent("blockChanged", { target, id: e.id, move: e }),
+    deleteBlock: (target, [id]) => emitVmEvent("blockDeleted", { target, id }),
+  };
+  Object.keys(methods).forEach(function (name) {
+    let original = Blocks.prototype[name];
+    Blocks.prototype[name] = function (...args) {
+      let result = original.apply(this, args);
+      let target = findBlocksTarget(vm, this);
+      if (target) methods[name](target, args);
+      return result;
+    };
+  });
+}
+
+function hookVmEvents() {
+  let vm = ScratchTools.Scratch.vm;
+  if (vmEventsHooked || !vm) return;
+  vmEventsHooked = true;
+  knownTargets = snapshotTargets(vm);
+  lastEditingTarget = vm.editingTarget;
+  lastCloneCount = vm.runtime._cloneCounter;
+  patchBlocks(vm);
+
+  vm.runtime.on("PROJECT_LOADED", function () {
+    patchBlocks(vm);
+    knownTargets = snapshotTargets(vm);
+    knownVariables.clear();
+    emitVmEvent("projectLoaded", { vm });
+  });
+  vm.on("targetsUpdate", () => updateTargets(vm));
+  vm.runtime.on("MONITORS_UPDATE", (monitors) =>
+    emitVmEvent("monitorUpdated", { monitors })
+  );
+  vm.runtime.on("AFTER_EXECUTE", function () {
+    if (hasVmListeners("cloneCountChanged")) checkCloneCount(vm);
+    if (hasVmListeners("variableChanged")) checkVariables(vm);
+    emitVmEvent("frameStepped", { time: vm.runtime.currentMSecs });
+  });
+  vm.runtime.on("PROJECT_RUN_START", () => emitVmEvent("projectStarted", {}));
+  // Clones are all removed when the project stops, without another step.
+  vm.runtime.on("PROJECT_RUN_STOP", function () {
+    if (hasVmListeners("cloneCountChanged")) checkCloneCount(vm);
+    emitVmEvent("projectStopped", {});
+  });
+}
+
+// The VM can be trapped after this runs, in which case listeners added before
+// then are hooked up once it is.
+window.__steTraps?.addEventListener("vm", function () {
+  ScratchTools.Scratch.vm =
+    ScratchTools.Scratch.vm || window.__steTraps._onceMap.vm;
+  if (VM_EVENTS.some(hasVmListeners)) hookVmEvents();
+});
+
+ScratchTools.vmEvents = {
+  TYPES: VM_EVENTS,
+  on: function (type, listener) {
+    if (!VM_EVENTS.includes(type)) {
+      throw new Error(`"${type}" is not a VM event.`);
+    }
+    hookVmEvents();
+    if (type === "variableChanged" && !hasVmListeners(type)) {
+      knownVariables.clear();
+    }
+    vmEventListeners[type] = [...(vmEventListeners[type] || []), listener];
+    // The count only changes as clones come and go, so a new listener is
+    // given the current one to start from.
+    let vm = ScratchTools.Scratch.vm;
+    if (type === "cloneCountChanged" && vm) {
+      listener({ count: vm.runtime._cloneCounter });
+    }
+    return {
+      remove: function () {
+        vmEventListeners[type] = vmEventListeners[type].filter(
+          (el) => el !== listener
+        );
+      },
+    };
+  },
+};
@@ -1 +1,2 @@
-require("./write-permissions")
\ No newline at end of file
+require("./write-permissions")
+require("./write-bundle")
\ No newline at end of file
@@ -0,0 +1,43 @@
+const fs = require("fs")
+let features = JSON.parse(fs.readFileSync("./features/features.json"))
+let manifest = JSON.parse(fs.readFileSync("./manifest.json"))
+let bundle = {
+    version: manifest.version_name,
+    features: [],
+}
+
+for (var i in features) {
+    if (features[i].version === 2) {
+        let id = features[i].id
+        let data = JSON.parse(fs.readFileSync(`./features/${id}/data.json`))
+        let locales = {}
+        if (fs.existsSync(`./feature-locales/${id}`)) {
+            for (let file of fs.readdirSync(`./feature-locales/${id}`)) {
+                if (!file.endsWith(".json")) continue;
+                locales[file.replace(".json", "")] = JSON.parse(fs.readFileSync(`./feature-locales/${id}/${file}`))
+            }
+        }
+        bundle.features.push({
+            feature: features[i],
+            data: resolvePaths(id, data),
+            locales,
+        })
+    } else {
+        bundle.features.push({ feature: features[i] })
+    }
+}
+
+fs.writeFileSync("./features/bundle.json", JSON.stringify(bundle), 'utf8');
+
+function resolvePaths(id, data) {
+    for (let script of data.scripts || []) {
+        script.path = `/features/${id}/${script.file}`
+    }
+    for (let style of data.styles || []) {
+        style.path = `/features/${id}/${style.file}`
+    }
+    for (let resource of data.resources || []) {
+        resource.url = `/features/${id}${resource.path}`
+    }
+    return data
+}
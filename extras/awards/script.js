@@ -0,0 +1,8 @@
+// Submissions go to the server set in the popup. The mock server has no
+// submission form, so the link is left pointing at the real one.
+ScratchTools.server.fileUrl("/submission/").then(
+  function (url) {
+    document.querySelector(".submission-link").href = url;
+  },
+  function () {}
+);
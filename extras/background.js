@@ -1,3 +1,10 @@
+importScripts(
+  "/api/server.js",
+  "/api/server-mock.js",
+  "/api/killswitch.js",
+  "/api/schema.js"
+);
+
 let cachedStorage;
 let cachedStyles;
 
@@ -9,6 +16,131 @@ async function cache() {
 }
 cache();
 
+let cachedBundle;
+
+// Feature metadata, locales and resource paths are compiled into one bundle by
+// build/write-bundle.js. Unpacked installs compile the same bundle here
+// instead, since their features may have been edited after it was built. A
+// failed load isn't cached, so the next call tries again.
+async function getBundle() {
+  if (!cachedBundle) {
+    cachedBundle = loadBundle().catch(function (err) {
+      cachedBundle = null;
+      throw err;
+    });
+  }
+  return await cachedBundle;
+}
+
+// Features that don't match the schemas in /schemas are left out of the bundle
+// and listed in its problems as { feature, errors }, so one broken feature
+// can't stop the rest from loading.
+async function loadBundle() {
+  var bundle;
+  var manifest = chrome.runtime.getManifest();
+  // Only installs from a store have an update_url.
+  if (manifest.update_url) {
+    try {
+      var built = await (await fetch("/features/bundle.json")).json();
+      if (built.version === manifest.version_name) {
+        bundle = await checkBundle(built);
+      }
+    } catch (err) {}
+  }
+  bundle = bundle || (await compileBundle());
+  bundle.problems.forEach(function ({ feature, errors }) {
+    console.warn(`ScratchTools skipped ${feature}:\n${errors.join("\n")}`);
+  });
+  return bundle;
+}
+
+async function checkBundle(bundle) {
+  var { features, problems } = await ScratchTools.schema.checkFeatures(
+    bundle.features.map((el) => el.feature)
+  );
+  var checked = [];
+  for (var compiled of bundle.features) {
+    if (!features.includes(compiled.feature)) continue;
+    if (compiled.feature.version === 2) {
+      var errors = await ScratchTools.schema.checkData(compiled.data);
+      if (errors.length) {
+        problems.push({ feature: compiled.feature.id, errors });
+        continue;
+      }
+    }
+    checked.push(compiled);
+  }
+  return { ...bundle, features: checked, problems };
+}
+
+async function compileBundle() {
+  var version = chrome.runtime.getManifest().version_name;
+  try {
+    var list = await (await fetch("/features/features.json")).json();
+    var { features, problems } = await ScratchTools.schema.checkFeatures(list);
+  } catch (err) {
+    return {
+      version,
+      features: [],
+      problems: [
+        {
+          feature: "features.json",
+          errors: [`features.json couldn't be read. ${err.message}`],
+        },
+      ],
+    };
+  }
+  var languages = [...new Set([getLanguage(), "en"])];
+  var compiled = await Promise.all(
+    features.map(async function (feature) {
+      if (feature.version !== 2) return { feature };
+      try {
+        var data = await (
+          await fetch(`/features/${feature.id}/data.json`)
+        ).json();
+        var errors = await ScratchTools.schema.checkData(data);
+      } catch (err) {
+        var errors = [`data.json couldn't be read. ${err.message}`];
+      }
+      if (errors.length) {
+        problems.push({ feature: feature.id, errors });
+        return null;
+      }
+      var locales = {};
+      for (var language of languages) {
+        try {
+          locales[language] = await (
+            await fetch(`/feature-locales/${feature.id}/${language}.json`)
+          ).json();
+        } catch (err) {}
+      }
+      data.scripts?.forEach(function (script) {
+        script.path = `/features/${feature.id}/${script.file}`;
+      });
+      data.styles?.forEach(function (style) {
+        style.path = `/features/${feature.id}/${style.file}`;
+      });
+      data.resources?.forEach(function (resource) {
+        resource.url = `/features/${feature.id}${resource.path}`;
+      });
+      return { feature, data, locales };
+    })
+  );
+  return {
+    version,
+    features: compiled.filter((el) => el),
+    problems,
+  };
+}
+
+function getLanguage() {
+  var language = chrome.i18n.getUILanguage() || "en";
+  if (language.includes("-")) {
+    language = language.split("-")[0];
+  }
+  return language;
+}
+
 async function checkBetaUpdates() {
   var loggedIn = await (
     await fetch("https://scratch.mit.edu/session/", {
@@ -34,19 +166,12 @@ async function checkBetaUpdates() {
   ).json();
   if (loggedIn?.user) {
     var isBeta = (
-      await (
-        await fetch(
-          `https://data.scratchtools.app/isbeta/${loggedIn.user.username}/`
-        )
-      ).json()
+      await ScratchTools.server.get(`/isbeta/${loggedIn.user.username}/`)
     ).beta;
     if (isBeta) {
-      var data = await (
-        await fetch(
-          "https://data.scratchtools.app/latest/?nocache=" +
-            Date.now().toString()
-        )
-      ).json();
+      var data = await ScratchTools.server.get(
+        "/latest/?nocache=" + Date.now().toString()
+      );
       if (
         data.version !== chrome.runtime.getManifest().version_name ||
         (await (await fetch("/changelog/beta.json")).json()).beta !== data.beta
@@ -62,20 +187,51 @@ if (chrome.runtime.getManifest().version_name.endsWith("-beta")) {
   checkBetaUpdates();
 }
 
+// Command Palette's hotkey used to be four separate options, stored as key,
+// shift, ctrl and alt, then a command-palette-hotkey option. It's now the
+// command-palette/open shortcut.
+async function migrateOptions() {
+  var old = ["key", "shift", "ctrl", "alt"];
+  var stored = await chrome.storage.sync.get([
+    ...old,
+    "command-palette-hotkey",
+    "shortcuts",
+  ]);
+  var hotkey = stored["command-palette-hotkey"];
+  if (old.some((key) => key in stored)) {
+    hotkey = hotkey || {
+      key: stored.key || "P",
+      shift: stored.shift ?? true,
+      ctrl: stored.ctrl ?? false,
+      alt: stored.alt ?? false,
+    };
+    await chrome.storage.sync.remove(old);
+  }
+  if (!hotkey) return;
+  if (typeof hotkey === "string") hotkey = { key: hotkey };
+  var shortcuts = stored.shortcuts || {};
+  if (!("command-palette/open" in shortcuts)) {
+    shortcuts["command-palette/open"] = hotkey;
+    await chrome.storage.sync.set({ shortcuts });
+  }
+  await chrome.storage.sync.remove("command-palette-hotkey");
+}
+
 chrome.runtime.onInstalled.addListener(async function (object) {
   checkApril();
-  try {
-    var featureData = await (await fetch("/features/features.json")).json();
-  } catch (err) {
-    chrome.tabs.create({
-      url: `data:text/plain,ScratchTools has crashed because the features.json file is configured incorrectly.`,
-    });
-  }
+  // Loading the bundle logs any features that are configured incorrectly.
+  await getBundle();
+  // An update may have fixed whatever got features quarantined.
+  await chrome.storage.local.remove("featureCrashes");
   chrome.alarms.clearAll();
   chrome.alarms.create("displayMessageCount", {
     delayInMinutes: 0.5,
     periodInMinutes: 0.5,
   });
+  // The kill switch used to be kept raw in sync storage.
+  await chrome.storage.sync.remove("autoDisabled");
+  await migrateOptions();
+  scheduleKillSwitch();
   var version = chrome.runtime.getManifest().version_name;
   const changelogData = await (await fetch("/changelog/changes.json")).json();
   if (changelogData.version === version) {
@@ -112,12 +268,11 @@ chrome.runtime.onInstalled.addListener(async function (object) {
       timeInstalled: Date.now(),
     });
     chrome.tabs.create({ url: "/onboarding/index.html" });
-    var response = await fetch("/features/features.json");
-    var data = await response.json();
+    var { features: data } = await getBundle();
     chrome.storage.sync.get("features", function (obj) {
       if (!obj.features) {
         var str = "";
-        data.forEach(function (el) {
+        data.forEach(function ({ feature: el }) {
           if (el.default) {
             str = str + " " + el.file;
           }
@@ -245,24 +400,17 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
             })
           ).json();
           if (loggedIn?.user) {
-            var data = await (
-              await fetch("https://data.scratchtools.app/online/", {
-                method: "POST",
-                headers: {
-                  Accept: "application/json",
-                  "Content-Type": "application/json",
-                },
-                body: JSON.stringify({ user: loggedIn.user.username }),
-              })
-            ).json();
+            var data = await ScratchTools.server.post("/online/", {
+              user: loggedIn.user.username,
+            });
           }
         } catch (err) {}
       }
     }
   }
   var listOfIds = [];
-  var features = await (await fetch("/features/features.json")).json();
-  features.forEach(function (feature) {
+  var bundle = await getBundle();
+  bundle.features.forEach(function ({ feature }) {
     listOfIds.push(feature.file || feature.id);
   });
   if (
@@ -301,6 +449,7 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
       function injectExtensionPageUrl(id) {
         window.steSupportId = id;
       }
+      await injectServer(tabId);
       await chrome.scripting.executeScript({
         target: { tabId: tabId },
         files: [`/extras/page.js`],
@@ -320,6 +469,7 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
       function injectExtensionPageUrl(id) {
         window.steSupportId = id;
       }
+      await injectServer(tabId);
       await chrome.scripting.executeScript({
         target: { tabId: tabId },
         files: [`/extras/feedback/page.js`],
@@ -328,7 +478,6 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
     }
   } else {
     if (info.status === "loading") {
-      var ScratchTools = {};
       ScratchTools.console = {};
       ScratchTools.console.log = function (text) {
         var styleArray = [
@@ -359,12 +508,9 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
       };
       async function getCurrentTab() {
         ScratchTools.console.log("STARTING.");
-        var response = await fetch("/features/features.json");
-        var data = await response.json();
-        var uiLanguage = chrome.i18n.getUILanguage() || "en";
-        if (uiLanguage.includes("-")) {
-          uiLanguage = uiLanguage.split("-")[0];
-        }
+        var bundle = await getBundle();
+        var data = bundle.features.map((el) => el.feature);
+        var uiLanguage = getLanguage();
         await chrome.scripting.executeScript({
           args: [chrome.runtime.getURL("/api/modal.css")],
           target: { tabId: tabId },
@@ -377,11 +523,36 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
           link.rel = "stylesheet";
           document.head.appendChild(link);
         }
+        await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          files: [`/api/killswitch.js`],
+          world: "MAIN",
+        });
         await chrome.scripting.executeScript({
           target: { tabId: tabId },
           files: [`/api/main.js`],
           world: "MAIN",
         });
+        await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          files: [`/api/options.js`],
+          world: "MAIN",
+        });
+        await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          files: [`/api/server.js`],
+          world: "MAIN",
+        });
+        await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          files: [`/api/classes.js`],
+          world: "MAIN",
+        });
+        await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          files: [`/api/shortcuts.js`],
+          world: "MAIN",
+        });
         await chrome.scripting.executeScript({
           target: { tabId: tabId },
           files: [`/api/verify.js`],
@@ -417,6 +588,11 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
           files: [`/api/vm.js`],
           world: "MAIN",
         });
+        await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          files: [`/api/contextmenu.js`],
+          world: "MAIN",
+        });
         ScratchTools.console.log("Injected Scratch API.");
         await chrome.scripting.executeScript({
           target: { tabId: tabId },
@@ -437,33 +613,16 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
         });
         ScratchTools.console.log("Injected spaces API.");
         var newFullData = [];
-        for (var i in data) {
-          var feature = data[i];
+        for (var i in bundle.features) {
+          var feature = bundle.features[i].feature;
           if (feature.version === 2) {
-            var featureData = await (
-              await fetch(`/features/${feature.id}/data.json`)
-            ).json();
+            var featureData = { ...bundle.features[i].data };
             featureData.id = feature.id;
             featureData.version = feature.version;
-            if (chrome.i18n.getUILanguage().includes("-")) {
-              var language = chrome.i18n.getUILanguage().split("-")[0];
-            } else {
-              var language = chrome.i18n.getUILanguage();
-            }
-            let localesData = {};
-            try {
-              localesData = await (
-                await fetch(
-                  `/feature-locales/${featureData.id}/${language}.json`
-                )
-              ).json();
-            } catch (err) {
-              try {
-                localesData = await (
-                  await fetch(`/feature-locales/${featureData.id}/en.json`)
-                ).json();
-              } catch (err) {}
-            }
+            let localesData =
+              bundle.features[i].locales[uiLanguage] ||
+              bundle.features[i].locales.en ||
+              {};
             let locales = {};
             Object.keys(localesData).forEach(function (el) {
               locales[`${featureData.id}/${el}`] = localesData[el];
@@ -471,7 +630,7 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
             featureData.localesData = locales;
             newFullData.push(featureData);
           } else {
-            newFullData.push(feature);
+            newFullData.push({ ...feature, id: feature.file });
           }
         }
         await chrome.scripting.executeScript({
@@ -490,14 +649,19 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
           ScratchTools.dir = dir;
           ScratchTools.Features.data = dataFeatures;
         }
+        var pageType = ScratchTools.getPageType(tab.url);
+        var quarantined = await getQuarantinedFeatures(pageType);
+        var killed = await getKilledFeatures(pageType);
         await chrome.scripting.executeScript({
-          args: [cachedScripts],
+          args: [cachedScripts, quarantined, killed],
           target: { tabId: tabId },
           func: injectCachedModules,
           world: "MAIN",
         });
-        function injectCachedModules(data) {
+        function injectCachedModules(data, quarantined, killed) {
           ScratchTools.modules = data;
+          ScratchTools.quarantined = quarantined;
+          ScratchTools.killed = killed;
         }
         await chrome.scripting.executeScript({
           target: { tabId: tabId },
@@ -526,20 +690,16 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
           ScratchTools.icons = { main: icon };
         }
         addData();
-        injectStyles(tabId);
-        for (var i in data) {
-          var feature = data[i];
+        injectStyles(tabId, killed);
+        for (var i in bundle.features) {
+          var feature = bundle.features[i].feature;
           if (feature.version === 2) {
-            var featureData = await (
-              await fetch(`/features/${feature.id}/data.json`)
-            ).json();
+            var featureData = bundle.features[i].data;
             for (var resource in featureData.resources) {
               await chrome.scripting.executeScript({
                 args: [
                   featureData.resources[resource].name,
-                  chrome.runtime.getURL(
-                    `/features/${feature.id}${featureData.resources[resource].path}`
-                  ),
+                  chrome.runtime.getURL(featureData.resources[resource].url),
                 ],
                 target: { tabId: tabId },
                 func: injectResource,
@@ -587,15 +747,30 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
           world: "MAIN",
         });
         async function addData() {
+          var { shortcuts } = await chrome.storage.sync.get("shortcuts");
+          if (shortcuts) {
+            chrome.scripting.executeScript({
+              args: [{ shortcuts }],
+              target: { tabId: tabId },
+              func: getStorage,
+              world: "MAIN",
+            });
+          }
+          var { serverUrl } = await chrome.storage.sync.get("serverUrl");
+          if (serverUrl) {
+            chrome.scripting.executeScript({
+              args: [{ serverUrl }],
+              target: { tabId: tabId },
+              func: getStorage,
+              world: "MAIN",
+            });
+          }
           var allStorage = {};
-          await data.forEach(async function (el) {
-            if (el.version === 2) {
-              el.options = (
-                await (await fetch(`/features/${el.id}/data.json`)).json()
-              ).options;
-            }
-            if (el.options !== undefined) {
-              await el.options.forEach(async function (option) {
+          await bundle.features.forEach(async function (el) {
+            var options =
+              el.feature.version === 2 ? el.data.options : el.feature.options;
+            if (options !== undefined) {
+              await options.forEach(async function (option) {
                 var test = await chrome.storage.sync.get(option.id);
                 if (test[option.id] !== undefined) {
                   var data = {};
@@ -622,10 +797,15 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
           world: "MAIN",
         });
         ScratchTools.console.log("Injected module API.");
+        await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          files: [`/api/legacy.js`],
+          world: "MAIN",
+        });
+        ScratchTools.console.log("Injected legacy feature runtime.");
         Object.keys(data).forEach(async function (el) {
-          var disabled = (await chrome.storage.sync.get("autoDisabled"))
-            .autoDisabled;
-          if (!disabled || !disabled.includes(data[el].file)) {
+          var id = data[el].file || data[el].id;
+          if (!(id in killed) && !quarantined.includes(id)) {
             if (data[el]["world"] === undefined) {
               var world = "MAIN";
             } else {
@@ -638,12 +818,21 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
             }
             chrome.storage.sync.get("features", async function (obj) {
               if (obj["features"].includes(data[el]["file"] || data[el].id)) {
-                if (data[el].version !== 2) {
+                // Older features run in the page's legacy runtime, except
+                // for ones in the isolated world, which can't reach it.
+                if (data[el].version !== 2 && world === "ISOLATED") {
                   chrome.scripting.executeScript({
                     target: { tabId: tabId },
                     files: [`/features/${data[el]["file"]}.js`],
                     world: world,
                   });
+                } else if (data[el].version !== 2) {
+                  chrome.scripting.executeScript({
+                    args: [data[el].file],
+                    target: { tabId: tabId },
+                    func: injectLegacyFeature,
+                    world: "MAIN",
+                  });
                 }
                 ScratchTools.console.log(
                   "Injected feature: " + data[el].file || data[el].id
@@ -652,12 +841,35 @@ chrome.tabs.onUpdated.addListener(async function (tabId, info) {
             });
           }
         });
+        function injectLegacyFeature(id) {
+          ScratchTools.injectLegacy(id);
+        }
       }
       getCurrentTab();
     }
   }
 });
 
+// The sign-in pages only get api/server.js, with the server URL setting and the
+// extension's id for reaching the mock server.
+async function injectServer(tabId) {
+  var { serverUrl } = await chrome.storage.sync.get("serverUrl");
+  await chrome.scripting.executeScript({
+    target: { tabId: tabId },
+    files: [`/api/server.js`],
+    world: "MAIN",
+  });
+  await chrome.scripting.executeScript({
+    args: [chrome.runtime.id, serverUrl || null],
+    target: { tabId: tabId },
+    func: function (id, serverUrl) {
+      ScratchTools.id = id;
+      ScratchTools.Storage = { serverUrl };
+    },
+    world: "MAIN",
+  });
+}
+
 chrome.runtime.onMessageExternal.addListener(async function (
   msg,
   sender,
@@ -699,65 +911,408 @@ chrome.runtime.onMessageExternal.addListener(async function (
   if (msg === "returnToTab") {
     await chrome.tabs.update(sender.tab.id, { active: true });
   }
-  if (msg.source === "message-api") {
-    if (msg.message?.startsWith("request-perms")) {
-      let perms = msg.content;
+});
 
-      chrome.permissions.request({ permissions: perms }, async (granted) => {
-        let isComplete = !!granted;
+let messageHandlers = {};
 
-        await chrome.scripting.executeScript({
-          args: [isComplete, msg.uuid],
-          target: { tabId: sender.tab.id },
-          func: sendPermsResponse,
-          world: "MAIN",
-        });
-        function sendPermsResponse(completed, uuid) {
-          ScratchTools.MESSAGES.find((el) => el.uuid === uuid).resolve(
-            completed
-          );
-        }
-      });
+// Registers a handler for ScratchTools.sendMessage(message, content). Each key
+// in types is checked against typeof on the content; a trailing "?" marks it
+// optional. Whatever the handler returns or throws goes back to the page.
+function registerMessageHandler(message, types, handler) {
+  messageHandlers[message] = { types, handler };
+}
+
+function checkMessageTypes(message, types, content) {
+  if (types === "array") {
+    if (!Array.isArray(content)) {
+      throw new TypeError(`"${message}" expects an array.`);
     }
+    return;
   }
-  if (typeof msg === "object") {
-    if (msg.message === "storageSet") {
-      await chrome.storage.sync.set({ [msg.key]: msg.value });
+  Object.keys(types || {}).forEach(function (key) {
+    var type = types[key].replace("?", "");
+    var value = content?.[key];
+    if (value === undefined && types[key].endsWith("?")) return;
+    var actual = Array.isArray(value) ? "array" : typeof value;
+    if (actual !== type) {
+      throw new TypeError(
+        `"${message}" expects ${key} to be a ${type}, not ${actual}.`
+      );
+    }
+  });
+}
+
+// Scratch pages send messages from outside the extension, and extension pages
+// (such as the popup) from inside it.
+chrome.runtime.onMessageExternal.addListener(handleApiMessage);
+chrome.runtime.onMessage.addListener(handleApiMessage);
+
+function handleApiMessage(msg, sender, sendResponse) {
+  if (msg?.source !== "message-api") return;
+  var registered = messageHandlers[msg.message];
+  new Promise(function (resolve) {
+    if (!registered) {
+      throw new Error(`There is no handler for "${msg.message}".`);
     }
-    if (msg.message === "storageGet") {
-      var data = (await chrome.storage.sync.get(msg.key))?.[msg.key] || null;
+    checkMessageTypes(msg.message, registered.types, msg.content);
+    resolve(registered.handler(msg.content, sender));
+  }).then(
+    (data) => sendResponse({ uuid: msg.uuid, data: data ?? null }),
+    (err) =>
+      sendResponse({
+        uuid: msg.uuid,
+        error: {
+          name: err.name,
+          message: err.message,
+          area: err.area,
+          key: err.key,
+        },
+      })
+  );
+  return true;
+}
+
+// Pushes an event to ScratchTools.onMessage() listeners in Scratch tabs.
+async function sendToTabs(event, data, exceptTabId) {
+  var tabs = await chrome.tabs.query({ url: "https://scratch.mit.edu/*" });
+  for (var tab of tabs) {
+    if (tab.id === exceptTabId) continue;
+    try {
       await chrome.scripting.executeScript({
-        args: [msg.key, data],
-        target: { tabId: sender.tab.id },
-        func: returnStorageValue,
+        args: [event, data],
+        target: { tabId: tab.id },
+        func: function (event, data) {
+          ScratchTools.receiveMessage?.(event, data);
+        },
         world: "MAIN",
       });
-      function returnStorageValue(key, value) {
-        storagePromises.forEach(function (promise) {
-          if (promise.key === key && !promise.resolved) {
-            promise.resolve(value);
-            promise.resolved = true;
-          }
-        });
-      }
+    } catch (err) {}
+  }
+}
+
+registerMessageHandler(
+  "server-mock",
+  { method: "string", path: "string" },
+  async function (request) {
+    return await ScratchTools.serverMock.handle(request);
+  }
+);
+
+registerMessageHandler("request-perms", "array", function (perms) {
+  return new Promise(function (resolve) {
+    chrome.permissions.request({ permissions: perms }, (granted) =>
+      resolve(!!granted)
+    );
+  });
+});
+
+registerMessageHandler("contains-perms", "array", async function (perms) {
+  return await chrome.permissions.contains({ permissions: perms });
+});
+
+registerMessageHandler("storage-get", { key: "string" }, async function ({
+  key,
+}) {
+  return (await chrome.storage.sync.get(key))?.[key] || null;
+});
+
+registerMessageHandler(
+  "storage-set",
+  { key: "string" },
+  async function ({ key, value }) {
+    await chrome.storage.sync.set({ [key]: value });
+  }
+);
+
+registerMessageHandler("storage-remove", { key: "string" }, async function ({
+  key,
+}) {
+  await chrome.storage.sync.remove(key);
+});
+
+registerMessageHandler(
+  "feature-storage",
+  { feature: "string", area: "string", action: "string", key: "string?" },
+  handleFeatureStorage
+);
+
+registerMessageHandler(
+  "alarm-create",
+  {
+    feature: "string",
+    name: "string",
+    delayInMinutes: "number?",
+    periodInMinutes: "number?",
+  },
+  async function ({ feature, name, delayInMinutes, periodInMinutes }) {
+    await chrome.alarms.create(`feature/${feature}/${name}`, {
+      delayInMinutes,
+      periodInMinutes,
+    });
+  }
+);
+
+registerMessageHandler(
+  "alarm-clear",
+  { feature: "string", name: "string" },
+  async function ({ feature, name }) {
+    return await chrome.alarms.clear(`feature/${feature}/${name}`);
+  }
+);
+
+registerMessageHandler(
+  "notification-create",
+  { feature: "string", title: "string", message: "string" },
+  async function ({ feature, title, message }) {
+    if (!chrome.notifications) {
+      throw new Error(
+        `"${feature}" needs the notifications permission to show notifications.`
+      );
     }
+    return await chrome.notifications.create({
+      type: "basic",
+      iconUrl: "/extras/icons/icon128.png",
+      title,
+      message,
+    });
   }
+);
+
+registerMessageHandler(
+  "feature-broadcast",
+  { feature: "string", channel: "string" },
+  async function ({ feature, channel, data }, sender) {
+    await sendToTabs(
+      "feature-broadcast",
+      { feature, channel, data: data ?? null },
+      sender.tab?.id
+    );
+  }
+);
+
+registerMessageHandler(
+  "broadcast",
+  { event: "string" },
+  async function ({ event, data }, sender) {
+    await sendToTabs(event, data, sender.tab?.id);
+  }
+);
+
+// A feature that crashes CRASH_LIMIT times within CRASH_WINDOW on one page
+// type is quarantined there until the user turns it off and on again, or
+// chooses Try again, in the popup. Both clear its stored crashes.
+const CRASH_LIMIT = 3;
+const CRASH_WINDOW = 24 * 60 * 60 * 1000;
+
+async function getFeatureCrashes() {
+  return (await chrome.storage.local.get("featureCrashes")).featureCrashes || {};
+}
+
+async function getQuarantinedFeatures(pageType) {
+  var crashes = await getFeatureCrashes();
+  return Object.keys(crashes).filter(
+    (feature) => crashes[feature][pageType]?.quarantined
+  );
+}
+
+// The last kill switch list that was fetched and understood is kept, so
+// features stay off while the list can't be reached.
+async function getKillSwitch() {
+  return (
+    (await chrome.storage.local.get("killSwitch")).killSwitch || {
+      entries: [],
+      fetchedAt: null,
+    }
+  );
+}
+
+async function updateKillSwitch() {
+  try {
+    var response = await fetch(ScratchTools.killSwitch.URL, {
+      cache: "no-store",
+    });
+    if (!response.ok) {
+      throw new Error(`The list responded with ${response.status}.`);
+    }
+    var entries = ScratchTools.killSwitch.normalize(await response.json());
+    await chrome.storage.local.set({
+      killSwitch: { entries, fetchedAt: Date.now() },
+    });
+  } catch (err) {
+    console.log(`Kept the cached kill switch list. ${err.message}`);
+  }
+}
+
+// Alarms don't always survive the browser restarting, so this runs on startup
+// as well as after installing.
+function scheduleKillSwitch() {
+  updateKillSwitch();
+  chrome.alarms.create("kill-switch", {
+    periodInMinutes: ScratchTools.killSwitch.PERIOD,
+  });
+}
+chrome.runtime.onStartup.addListener(scheduleKillSwitch);
+
+// Styles are loaded from the page's content script, and left out there when
+// the kill switch turns their feature off on that kind of page.
+chrome.runtime.onMessage.addListener(function (msg, sender, sendResponse) {
+  if (msg?.action !== "getStyles") return;
+  var pageType = ScratchTools.getPageType(sender.tab?.url);
+  getKilledFeatures(pageType).then(function (killed) {
+    var styles = cachedStyles || [];
+    sendResponse({
+      data: styles.filter((el) => !(el.feature.id in killed)),
+    });
+  });
+  return true;
 });
 
+async function getKilledFeatures(pageType) {
+  return ScratchTools.killSwitch.getKilled((await getKillSwitch()).entries, {
+    version: chrome.runtime.getManifest().version_name,
+    pageType,
+  });
+}
+
+registerMessageHandler(
+  "feature-crash",
+  { feature: "string", pageType: "string", message: "string" },
+  async function ({ feature, pageType, message }) {
+    var crashes = await getFeatureCrashes();
+    var record = crashes[feature]?.[pageType] || { times: [] };
+    record.times = [
+      ...record.times.filter((time) => time > Date.now() - CRASH_WINDOW),
+      Date.now(),
+    ];
+    record.message = message;
+    record.quarantined = record.quarantined || record.times.length >= CRASH_LIMIT;
+    crashes[feature] = { ...crashes[feature], [pageType]: record };
+    await chrome.storage.local.set({ featureCrashes: crashes });
+    return { quarantined: record.quarantined };
+  }
+);
+
+// Features get their own key space ("<feature id>/<key>") in either storage
+// area, so one feature filling chrome.storage.sync can't break the others.
+async function handleFeatureStorage({ feature, area, action, key, value }) {
+  if (area !== "local" && area !== "sync") {
+    throw new Error(`Unknown storage area "${area}".`);
+  }
+  var storage = chrome.storage[area];
+  var prefix = `${feature}/`;
+  if (action === "get") {
+    return (await storage.get(prefix + key))[prefix + key] ?? null;
+  }
+  if (action === "set") {
+    await checkStorageQuota(area, prefix + key, value);
+    await storage.set({ [prefix + key]: value });
+    return true;
+  }
+  if (action === "remove") {
+    await storage.remove(prefix + key);
+    return true;
+  }
+  var keys = Object.keys(await storage.get(null)).filter((el) =>
+    el.startsWith(prefix)
+  );
+  if (action === "clear") {
+    await storage.remove(keys);
+    return true;
+  }
+  if (action === "usage") {
+    return {
+      bytes: keys.length ? await storage.getBytesInUse(keys) : 0,
+      quota: storage.QUOTA_BYTES,
+    };
+  }
+  throw new Error(`Unknown storage action "${action}".`);
+}
+
+async function checkStorageQuota(area, key, value) {
+  var storage = chrome.storage[area];
+  var size = key.length + JSON.stringify(value ?? null).length;
+  var error;
+  if (area === "sync" && size > storage.QUOTA_BYTES_PER_ITEM) {
+    error = new Error(
+      `"${key}" is ${size} bytes, but items in sync storage can only be ${storage.QUOTA_BYTES_PER_ITEM} bytes. Use local storage for large values.`
+    );
+  } else {
+    var used =
+      (await storage.getBytesInUse(null)) - (await storage.getBytesInUse(key));
+    if (used + size > storage.QUOTA_BYTES) {
+      error = new Error(
+        `Saving "${key}" would use ${used + size} of the ${storage.QUOTA_BYTES} bytes available in ${area} storage.`
+      );
+    }
+  }
+  if (error) {
+    error.name = "QuotaExceededError";
+    error.area = area;
+    error.key = key;
+    throw error;
+  }
+}
+
+async function getEnabledFeatures() {
+  var enabled = (await getBundle()).features.filter(
+    (el) => el.feature.version === 2 && cachedStorage.includes(el.feature.id)
+  );
+  return resolveFeatureGraph(enabled).features;
+}
+
+// Drops enabled features whose "requires" are missing or that declare a
+// conflict with another active feature, then orders features so that
+// anything listed in "enhances" loads before the feature enhancing it.
+function resolveFeatureGraph(enabled) {
+  var active = enabled.map((el) => el.feature.id);
+  var skipped = {};
+  var changed = true;
+  while (changed) {
+    changed = false;
+    enabled.forEach(function (el) {
+      if (!active.includes(el.feature.id)) return;
+      var missing = (el.data.requires || []).find((id) => !active.includes(id));
+      var conflict = (el.data.conflicts || []).find((id) =>
+        active.includes(id)
+      );
+      if (missing || conflict) {
+        active.splice(active.indexOf(el.feature.id), 1);
+        skipped[el.feature.id] = missing
+          ? { reason: "requires", feature: missing }
+          : { reason: "conflicts", feature: conflict };
+        changed = true;
+      }
+    });
+  }
+  var features = enabled.filter((el) => active.includes(el.feature.id));
+  var ordered = [];
+  function addFeature(el, visiting) {
+    if (ordered.includes(el) || visiting.includes(el)) return;
+    visiting.push(el);
+    (el.data.enhances || []).forEach(function (id) {
+      var enhanced = features.find((f) => f.feature.id === id);
+      if (enhanced) addFeature(enhanced, visiting);
+    });
+    ordered.push(el);
+  }
+  features.forEach((el) => addFeature(el, []));
+  Object.keys(skipped).forEach(function (id) {
+    console.log(
+      `Skipped ${id}: ${skipped[id].reason} ${skipped[id].feature}.`
+    );
+  });
+  return { features: ordered, skipped };
+}
+
 async function getEnabledStyles() {
   var allStyles = [];
-  var data = (await (await fetch(`/features/features.json`)).json()).filter(
-    (el) => el.version === 2 && cachedStorage.includes(el.id)
-  );
+  var data = await getEnabledFeatures();
   for (var i in data) {
-    var feature = data[i];
-    var styles = (
-      await (await fetch(`/features/${feature.id}/data.json`)).json()
-    ).styles;
+    var feature = data[i].feature;
+    var styles = data[i].data.styles;
     if (styles) {
       for (var i2 in styles) {
-        styles[i2].feature = feature;
-        allStyles.push(styles[i2]);
+        allStyles.push({ ...styles[i2], feature });
       }
     }
   }
@@ -765,21 +1320,17 @@ async function getEnabledStyles() {
 }
 async function getModules() {
   var allScripts = [];
-  var data = (await (await fetch(`/features/features.json`)).json()).filter(
-    (el) => el.version === 2 && cachedStorage.includes(el.id)
-  );
+  var data = await getEnabledFeatures();
   for (var i in data) {
-    var feature = data[i];
-    var scripts =
-      (await (await fetch(`/features/${feature.id}/data.json`)).json())
-        .scripts || [];
+    var feature = data[i].feature;
+    var scripts = data[i].data.scripts || [];
     if (scripts) {
       for (var i2 in scripts) {
-        scripts[i2].feature = feature;
-        scripts[i2].file = chrome.runtime.getURL(
-          `/features/${feature.id}/${scripts[i2].file}`
-        );
-        allScripts.push(scripts[i2]);
+        allScripts.push({
+          ...scripts[i2],
+          feature,
+          file: chrome.runtime.getURL(scripts[i2].path),
+        });
       }
     }
   }
@@ -795,9 +1346,6 @@ chrome.runtime.onMessage.addListener(async function (
       url: "https://scratch.mit.edu/scratchtools/support/auth/",
     });
   }
-  if (msg.action === "getStyles") {
-    sendResponse({ data: cachedStyles });
-  }
   if (msg?.text === "get-logged-in-user") {
     sendResponse(true);
     const data = await (
@@ -850,18 +1398,22 @@ async function checkApril() {
   }
 }
 
-chrome.alarms.onAlarm.addListener(async function () {
+chrome.alarms.onAlarm.addListener(async function (alarm) {
+  if (alarm.name.startsWith("feature/")) {
+    var [, feature, ...name] = alarm.name.split("/");
+    await sendToTabs("alarm", { feature, name: name.join("/") });
+    return;
+  }
+  if (alarm.name === "kill-switch") {
+    await updateKillSwitch();
+    return;
+  }
   checkApril();
-  chrome.alarms.clearAll();
+  chrome.alarms.clear(alarm.name);
   chrome.alarms.create("test", {
     delayInMinutes: 0.5,
     periodInMinutes: 0.5,
   });
-  var response = await fetch(
-    "https://raw.githubusercontent.com/STForScratch/data/main/disabled.json"
-  );
-  var data = await response.json();
-  await chrome.storage.sync.set({ autoDisabled: data });
   var obj = await chrome.storage.sync.get("features");
   if (obj.features && obj.features.includes("display-message-count-in-icon")) {
     try {
@@ -884,13 +1436,14 @@ chrome.alarms.onAlarm.addListener(async function () {
   }
 });
 
-async function injectStyles(tabId) {
+async function injectStyles(tabId, killed) {
   cachedStorage = (await chrome.storage.sync.get("features"))?.features || "";
   cachedStyles = await getEnabledStyles();
   console.log(JSON.stringify(cachedStyles));
   var theStyles = [];
   cachedStyles.forEach(function (el) {
-    el.url = chrome.runtime.getURL(`/features/${el.feature.id}/${el.file}`);
+    if (el.feature.id in killed) return;
+    el.url = chrome.runtime.getURL(el.path);
     theStyles.push(el);
   });
   await chrome.scripting.executeScript({
@@ -905,13 +1458,16 @@ async function injectStyles(tabId) {
       div.className = "scratchtools-styles-div";
       document.head.appendChild(div);
       styles.forEach(function (style) {
-        if (window.location.pathname.match(style.runOn)) {
-          var link = document.createElement("link");
-          link.rel = "stylesheet";
-          link.href = style.url;
-          link.dataset.feature = style.feature.id;
-          document.querySelector(".scratchtools-styles-div").appendChild(link);
+        var link = document.createElement("link");
+        link.rel = "stylesheet";
+        link.href = style.url;
+        link.dataset.feature = style.feature.id;
+        // Kept but disabled off-route so navigation can switch it on.
+        if (style.runOn) {
+          link.dataset.runOn = style.runOn;
+          link.disabled = !window.location.pathname.match(style.runOn);
         }
+        document.querySelector(".scratchtools-styles-div").appendChild(link);
       });
     }
   }
@@ -931,15 +1487,8 @@ async function getUsername() {
 async function getFeaturesCode() {
   let featuresData =
     (await chrome.storage.sync.get("features"))?.features || "";
-  let data = await (
-    await fetch("https://data.scratchtools.app/create/", {
-      method: "POST",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ features: featuresData }),
-    })
-  ).json();
+  let data = await ScratchTools.server.post("/create/", {
+    features: featuresData,
+  });
   return data.code;
 }
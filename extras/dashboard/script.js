@@ -6,14 +6,10 @@ let DN_INPUT = document.querySelector("input.displayname")
 let UPDATE_BTN = document.querySelector("div.update button")
 
 async function loadData() {
-  let { displayName } = await (
-    await fetch(`https://data.scratchtools.app/name/${USERNAME}/`)
-  ).json();
+  let { displayName } = await ScratchTools.server.get(`/name/${USERNAME}/`);
   document.querySelector("input.displayname").value = displayName || "";
 
-  let { status } = await (
-    await fetch(`https://data.scratchtools.app/status/${USERNAME}/`)
-  ).json();
+  let { status } = await ScratchTools.server.get(`/status/${USERNAME}/`);
   EMOJI_PICKER.value = status || "🙂";
   let LAST_EMOJI = EMOJI_PICKER.value;
   let ALL_EMOJIS = await (await fetch("./emojis.json")).json();
@@ -37,28 +33,16 @@ async function loadData() {
 
   UPDATE_BTN.addEventListener("click", async function() {
     if (displayName !== DN_INPUT.value) {
-        let data = await (
-            await fetch("https://data.scratchtools.app/setdisplay/", {
-              method: "POST",
-              headers: {
-                Accept: "application/json",
-                "Content-Type": "application/json",
-              },
-              body: JSON.stringify({ name: DN_INPUT.value, token: TOKEN }),
-            })
-          ).json();
+        let data = await ScratchTools.server.post("/setdisplay/", {
+          name: DN_INPUT.value,
+          token: TOKEN,
+        });
     }
     if (status !== EMOJI_PICKER.value) {
-        let data = await (
-            await fetch("https://data.scratchtools.app/setstatus/", {
-              method: "POST",
-              headers: {
-                Accept: "application/json",
-                "Content-Type": "application/json",
-              },
-              body: JSON.stringify({ status: EMOJI_PICKER.value, token: TOKEN }),
-            })
-          ).json();
+        let data = await ScratchTools.server.post("/setstatus/", {
+          status: EMOJI_PICKER.value,
+          token: TOKEN,
+        });
     }
     document.querySelector(".data").style.display = "none";
     window.location.href = `https://scratch.mit.edu/users/${USERNAME}/`
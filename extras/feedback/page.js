@@ -21,11 +21,18 @@ p.style.fontSize = "1rem";
 document.body.appendChild(p);
 
 var verifyUser = async function (callback) {
-  var code = await (
-    await fetch(`https://data.scratchtools.app/verification/code/`)
-  ).json();
+  var code = await ScratchTools.server.get("/verification/code/");
   var PROJECT_ID = "854593681";
   var user = Scratch.INIT_DATA.LOGGED_IN_USER.model.username;
+  async function finish() {
+    var data = await ScratchTools.server.post("/verify/", {
+      secret: code.secret,
+      user,
+    });
+    callback(data.code);
+  }
+  // The mock server can't see cloud variables, so there's nothing to set.
+  if (await ScratchTools.server.isMock()) return finish();
   var connection = new WebSocket("wss://clouddata.scratch.mit.edu");
   connection.onerror = console.error;
   connection.onopen = async () => {
@@ -44,17 +51,7 @@ var verifyUser = async function (callback) {
       }) + "\n"
     );
     connection.close();
-    var data = await (
-      await fetch("https://data.scratchtools.app/verify/", {
-        method: "POST",
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ secret: code.secret }),
-      })
-    ).json();
-    callback(data.code);
+    await finish();
   };
 };
 
@@ -3,34 +3,18 @@ async function submit() {
     document.querySelector("button").style.display = "none";
     var featuresData =
       (await chrome.storage.sync.get("features")).features || "";
-    const data = await (
-      await fetch("https://data.scratchtools.app/create/", {
-        method: "POST",
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ features: featuresData }),
-      })
-    ).json();
-    const send = await (
-      await fetch("https://data.scratchtools.app/verified-feedback/", {
-        method: "POST",
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          feedback: document.querySelector("textarea").value,
-          settings: data.code,
-          useragent: navigator.userAgent,
-          version: chrome.runtime.getManifest().version_name,
-          token: new URLSearchParams(new URL(window.location.href).search).get(
-            "code"
-          ),
-        }),
-      })
-    ).json();
+    const data = await ScratchTools.server.post("/create/", {
+      features: featuresData,
+    });
+    const send = await ScratchTools.server.post("/verified-feedback/", {
+      feedback: document.querySelector("textarea").value,
+      settings: data.code,
+      useragent: navigator.userAgent,
+      version: chrome.runtime.getManifest().version_name,
+      token: new URLSearchParams(new URL(window.location.href).search).get(
+        "code"
+      ),
+    });
     if (data.error) {
       document.querySelector("button").style.display = null;
       alert(data.error);
@@ -46,20 +30,11 @@ async function submit() {
 document.querySelector("button").onclick = submit;
 
 async function getMessages() {
-  var data = await (
-    await fetch("https://data.scratchtools.app/get-messages/", {
-      method: "POST",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        token: new URLSearchParams(new URL(window.location.href).search).get(
-          "code"
-        ),
-      }),
-    })
-  ).json();
+  var data = await ScratchTools.server.post("/get-messages/", {
+    token: new URLSearchParams(new URL(window.location.href).search).get(
+      "code"
+    ),
+  });
   if (data.error) {
     window.location.href =
       "https://scratch.mit.edu/scratchtools/feedback/auth/";
@@ -4,13 +4,16 @@ async function getAllUserstyles() {
   document.head.appendChild(div);
   var styles = await getStyles();
   styles.forEach(function (style) {
-    if (window.location.pathname.match(style.runOn)) {
-      var link = document.createElement("link");
-      link.rel = "stylesheet";
-      link.href = chrome.runtime.getURL(`/features/${style.feature.id}/${style.file}`);
-      link.dataset.feature = style.feature.id;
-      document.querySelector(".scratchtools-styles-div").appendChild(link);
+    var link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = chrome.runtime.getURL(`/features/${style.feature.id}/${style.file}`);
+    link.dataset.feature = style.feature.id;
+    // Kept but disabled off-route so navigation can switch it on.
+    if (style.runOn) {
+      link.dataset.runOn = style.runOn;
+      link.disabled = !window.location.pathname.match(style.runOn);
     }
+    document.querySelector(".scratchtools-styles-div").appendChild(link);
   });
 }
 
@@ -44,9 +44,17 @@ async function verify() {
   let privateCode = new URLSearchParams(window.location.search).get(
     "privateCode"
   );
-  let data = await (
-    await fetch(`https://data.scratchtools.app/verify/?code=${privateCode}`)
-  ).json();
+  let query = new URLSearchParams({ code: privateCode });
+  // The mock server can't check the code, so it's told who signed in.
+  if (await ScratchTools.server.isMock()) {
+    let session = await (
+      await fetch("/session/", {
+        headers: { "X-Requested-With": "XMLHttpRequest" },
+      })
+    ).json();
+    query.set("username", session.user?.username || "");
+  }
+  let data = await ScratchTools.server.get(`/verify/?${query}`);
 
   if (data.error) {
     h1.textContent = "An error ocurred";
@@ -197,6 +197,18 @@ if (document.querySelector(".more-settings-btn")) {
         callback: importSettingsInput,
         additonalClassNames: ["secondary-btn"],
       },
+      {
+        content: "Keyboard Shortcuts",
+        type: "button",
+        callback: showShortcuts,
+        additonalClassNames: ["secondary-btn"],
+      },
+      {
+        content: "Server",
+        type: "button",
+        callback: showServerSettings,
+        additonalClassNames: ["secondary-btn"],
+      },
     ];
     if (chrome.runtime.getManifest().version_name.endsWith("-beta")) {
       components.push({
@@ -231,9 +243,7 @@ chrome.runtime.onMessage.addListener(async function (
   sendResponse
 ) {
   if (msg?.user?.username) {
-    var data = await (
-      await fetch(`https://data.scratchtools.app/isbeta/${msg.user.username}/`)
-    ).json();
+    var data = await ScratchTools.server.get(`/isbeta/${msg.user.username}/`);
     if (data.beta && document.querySelector(".st-modal")) {
       var btn = document.createElement("button");
       btn.textContent = "Install Beta";
@@ -519,16 +529,9 @@ if (document.querySelector(".settingsButton")) {
 
 async function returnFeatureCode() {
   var featuresData = (await chrome.storage.sync.get("features")).features || "";
-  const data = await (
-    await fetch("https://data.scratchtools.app/create/", {
-      method: "POST",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ features: featuresData }),
-    })
-  ).json();
+  const data = await ScratchTools.server.post("/create/", {
+    features: featuresData,
+  });
   if (data.error) {
     ScratchTools.modals.create({
       title: "An error occurred",
@@ -550,7 +553,13 @@ let FEATURES = [];
 async function getFeatures() {
   var languageData = await getFeatureLanguageData();
   const settings = (await chrome.storage.sync.get("features")).features || "";
-  const data = await (await fetch("/features/features.json")).json();
+  const crashes =
+    (await chrome.storage.local.get("featureCrashes")).featureCrashes || {};
+  const killSwitch =
+    (await chrome.storage.local.get("killSwitch")).killSwitch?.entries || [];
+  const pageType = await getActivePageType();
+  const { features: data, problems } = await readFeatureList();
+  problems.forEach(addBrokenFeature);
   for (var featurePlace in data) {
     var feature = data[featurePlace];
 
@@ -561,9 +570,18 @@ async function getFeatures() {
     div.dataset.id = feature.id;
 
     if (feature.version === 2) {
-      const featureData = await (
-        await fetch("/features/" + feature.id + "/data.json")
-      ).json();
+      try {
+        var featureData = await (
+          await fetch("/features/" + feature.id + "/data.json")
+        ).json();
+        var errors = await ScratchTools.schema.checkData(featureData);
+      } catch (err) {
+        var errors = [`data.json couldn't be read. ${err.message}`];
+      }
+      if (errors.length) {
+        addBrokenFeature({ feature: feature.id, errors });
+        continue;
+      }
       featureData.versionAdded = feature.versionAdded;
       featureData.versionUpdated = feature.versionUpdated;
       featureData.id = feature.id;
@@ -577,6 +595,13 @@ async function getFeatures() {
       description: feature.description,
       id: feature.id,
       new: feature.versionAdded === "v" + chrome.runtime.getManifest().version,
+      requires: feature.requires || [],
+      conflicts: feature.conflicts || [],
+      enhances: feature.enhances || [],
+      shortcuts: [
+        ...(feature.shortcuts || []),
+        ...ScratchTools.shortcuts.fromOptions(feature.options),
+      ],
     });
 
     var h3 = document.createElement("h3");
@@ -617,6 +642,32 @@ async function getFeatures() {
       });
     }
 
+    var failedOn = getFailedPageTypes(crashes[feature.id]);
+    if (pageType ? failedOn.includes(pageType) : failedOn.length) {
+      var span = document.createElement("span");
+      span.textContent = pageType
+        ? "Failed on this page"
+        : `Failed on ${failedOn.join(" and ")} pages`;
+      span.className = "new-feature-tag failed";
+      div.appendChild(span);
+      span.addEventListener(
+        "click",
+        showFeatureCrash.bind(null, feature.id, crashes[feature.id], span)
+      );
+    }
+
+    var killed = ScratchTools.killSwitch.find(killSwitch, feature.id, {
+      version: chrome.runtime.getManifest().version_name,
+      pageType,
+    });
+    if (killed) {
+      var span = document.createElement("span");
+      span.textContent = "Turned off";
+      span.className = "new-feature-tag failed";
+      div.appendChild(span);
+      span.addEventListener("click", showKilledFeature.bind(null, killed));
+    }
+
     var label = document.createElement("label");
     label.className = "switch";
     var input = document.createElement("input");
@@ -656,6 +707,18 @@ async function getFeatures() {
           var ok = true;
         }
         if (ok) {
+          var relations = getFeatureRelations(
+            this.parentNode.parentNode.dataset.id,
+            data
+          );
+          if (relations.requires.length || relations.conflicts.length) {
+            this.checked = false;
+            showFeatureRelations(
+              this.parentNode.parentNode.dataset.id,
+              relations
+            );
+            return;
+          }
           this.parentNode.parentNode.style.display = null;
           this.checked = true;
           await chrome.storage.sync.set({
@@ -698,209 +761,12 @@ async function getFeatures() {
 
     if (feature.options) {
       for (var optionPlace in feature.options) {
-        var option = feature.options[optionPlace];
-
-        if (typeof option.type === "string") {
-          let OPTION_TYPES = {
-            string: 0,
-            boolean: 1,
-            number: 2,
-            color: 3,
-            select: 4,
-          };
-          option.type = OPTION_TYPES[option.type];
-        }
-
-        let type = option.type;
-        if (type === 4) {
-          var optionDiv = document.createElement("div");
-          optionDiv.className = "option";
-          var label = document.createElement("label");
-          label.textContent = option.name;
-          optionDiv.appendChild(label);
-
-          let options = document.createElement("div");
-          options.className = "option-selection";
-          options.dataset.id = option.id;
-          var optionData = (await chrome.storage.sync.get(option.id))[
-            option.id
-          ];
-          for (var i in option.options) {
-            let oData = option.options[i];
-
-            let span = document.createElement("span");
-            span.textContent = oData.name;
-            span.dataset.id = oData.value;
-
-            span.addEventListener("click", async function () {
-              let id = this.dataset.id;
-
-              let feature = this.closest(".feature");
-              let featureId = feature.dataset.id;
-
-              let optionId = this.parentElement.dataset.id;
-
-              this.parentElement
-                .querySelector(".option-selected")
-                .classList.remove("option-selected");
-              this.classList.add("option-selected");
-
-              await chrome.storage.sync.set({
-                [optionId]: id,
-              });
-              chrome.tabs.query({}, function (tabs) {
-                for (var i = 0; i < tabs.length; i++) {
-                  try {
-                    chrome.scripting.executeScript({
-                      args: [featureId, optionId, id],
-                      target: { tabId: tabs[i].id },
-                      func: updateSettingsFunction,
-                      world: "MAIN",
-                    });
-                    function updateSettingsFunction(feature, name, value) {
-                      ScratchTools.Storage[name] = value;
-                      if (allSettingChangeFunctions[feature]) {
-                        allSettingChangeFunctions[feature]({
-                          key: name,
-                          value,
-                        });
-                      }
-                    }
-                  } catch (err) {
-                    console.log(err);
-                  }
-                }
-              });
-            });
-            if (optionData === span.dataset.id || (!optionData && i < 1)) {
-              span.classList.add("option-selected");
-            }
-            options.appendChild(span);
-          }
-          optionDiv.appendChild(options);
-        } else {
-          var input = document.createElement("input");
-          input.type = ["text", "checkbox", "number", "color"][
-            option.type || 0
-          ];
-          input.dataset.id = option.id;
-          input.dataset.feature = feature.id;
-          var optionData = (await chrome.storage.sync.get(option.id))[
-            option.id
-          ];
-          input.value = optionData || "";
-          input.placeholder = `Enter ${input.type}`;
-          input.dataset.validators = JSON.stringify(option.validators || {});
-          var optionDiv = document.createElement("div");
-          optionDiv.className = "option";
-          var label = document.createElement("label");
-          label.textContent = option.name;
-          optionDiv.appendChild(label);
-
-          if (input.type === "checkbox") {
-            input.checked = optionData || false;
-            var specialLabel = document.createElement("label");
-            specialLabel.className = "special-switch";
-            input.classList.add = "checkbox";
-            var span = document.createElement("span");
-            span.className = "slider round";
-            specialLabel.appendChild(input);
-            specialLabel.appendChild(span);
-            optionDiv.appendChild(specialLabel);
-          } else {
-            optionDiv.appendChild(input);
-          }
-        }
-        div.appendChild(optionDiv);
-
-        if (type !== 4) {
-          input.dataset.validation = btoa(
-            JSON.stringify(option.validation || [])
-          );
-          input.addEventListener("input", async function () {
-            var validation = JSON.parse(atob(this.dataset.validation));
-            var ready = true;
-            var input = this;
-            let validators = JSON.parse(this.dataset.validators);
-            validation.forEach(function (validate) {
-              if (ready) {
-                input.style.outline = "none";
-                if (
-                  input.nextSibling?.className?.includes(
-                    "validation-explanation"
-                  )
-                ) {
-                  input.nextSibling.remove();
-                }
-                if (!new RegExp(validate.regex).test(input.value)) {
-                  ready = false;
-                  input.style.outline = "2px solid #f72f4a";
-                  var explanation = document.createElement("span");
-                  explanation.className = "validation-explanation";
-                  explanation.textContent = validate.explanation;
-                  explanation.style.color = "#f72f4a";
-                  explanation.style.marginBottom = "1rem";
-                  input.insertAdjacentElement("afterend", explanation);
-                }
-              }
-            });
-            if (ready) {
-              if (validators.min) {
-                if (this.value < validators.min) {
-                  this.value = validators.min;
-                }
-              }
-              if (validators.max) {
-                if (this.value > validators.max) {
-                  this.value = validators.max;
-                }
-              }
-              if (this.type !== "checkbox") {
-                finalValue = this.value;
-              } else {
-                var data = await chrome.storage.sync.get(this.dataset.id);
-                if (data[this.dataset.id]) {
-                  this.checked = false;
-                  finalValue = false;
-                } else {
-                  this.checked = true;
-                  finalValue = true;
-                }
-              }
-              var saveData = {};
-              saveData[this.dataset.id] = finalValue;
-              await chrome.storage.sync.set(saveData);
-              var featureToUpdate = this;
-              chrome.tabs.query({}, function (tabs) {
-                for (var i = 0; i < tabs.length; i++) {
-                  try {
-                    chrome.scripting.executeScript({
-                      args: [
-                        featureToUpdate.dataset.feature,
-                        featureToUpdate.dataset.id,
-                        finalValue,
-                      ],
-                      target: { tabId: tabs[i].id },
-                      func: updateSettingsFunction,
-                      world: "MAIN",
-                    });
-                    function updateSettingsFunction(feature, name, value) {
-                      ScratchTools.Storage[name] = value;
-                      if (allSettingChangeFunctions[feature]) {
-                        allSettingChangeFunctions[feature]({
-                          key: name,
-                          value,
-                        });
-                      }
-                    }
-                  } catch (err) {
-                    console.log(err);
-                  }
-                }
-              });
-            }
-          });
-        }
+        div.appendChild(
+          await renderOption(
+            feature.id,
+            ScratchTools.options.normalize(feature.options[optionPlace])
+          )
+        );
       }
     }
 
@@ -977,11 +843,605 @@ async function getFeatures() {
       document.querySelector(".settings").appendChild(div);
     }
   }
+  addFeatureRelations(languageData);
   getTrending();
 }
 getFeatures();
 
+async function renderOption(featureId, option) {
+  const TYPES = ScratchTools.options.TYPES;
+  var optionDiv = document.createElement("div");
+  optionDiv.className = "option";
+  var label = document.createElement("label");
+  label.textContent = option.name;
+  optionDiv.appendChild(label);
+
+  var value = ScratchTools.options.parse(
+    option,
+    (await chrome.storage.sync.get(option.id))[option.id]
+  );
+
+  if (option.type === TYPES.select) {
+    let options = document.createElement("div");
+    options.className = "option-selection";
+    for (var i in option.options) {
+      let span = document.createElement("span");
+      span.textContent = option.options[i].name;
+      span.dataset.id = option.options[i].value;
+      span.addEventListener("click", async function () {
+        options
+          .querySelector(".option-selected")
+          ?.classList.remove("option-selected");
+        span.classList.add("option-selected");
+        await saveOption(featureId, option.id, span.dataset.id);
+      });
+      if (value === span.dataset.id || (value === undefined && i < 1)) {
+        span.classList.add("option-selected");
+      }
+      options.appendChild(span);
+    }
+    optionDiv.appendChild(options);
+  } else if (option.type === TYPES.boolean) {
+    let input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = value || false;
+    var specialLabel = document.createElement("label");
+    specialLabel.className = "special-switch";
+    var span = document.createElement("span");
+    span.className = "slider round";
+    specialLabel.appendChild(input);
+    specialLabel.appendChild(span);
+    optionDiv.appendChild(specialLabel);
+    input.addEventListener("input", async function () {
+      await saveOption(featureId, option.id, input.checked);
+    });
+  } else if (option.type === TYPES.slider) {
+    let input = document.createElement("input");
+    input.type = "range";
+    input.className = "option-slider";
+    input.min = option.min;
+    input.max = option.max;
+    input.step = option.step;
+    input.value = value ?? option.min;
+    let output = document.createElement("span");
+    output.className = "option-slider-value";
+    output.textContent = input.value;
+    optionDiv.appendChild(input);
+    optionDiv.appendChild(output);
+    input.addEventListener("input", function () {
+      output.textContent = input.value;
+    });
+    input.addEventListener("change", async function () {
+      await saveOption(featureId, option.id, Number(input.value));
+    });
+  } else if (option.type === TYPES.keybinding) {
+    // Saved in the shortcut registry, so it's listed and checked for
+    // conflicts with the other shortcuts.
+    let key = `${featureId}/${option.id}`;
+    let defaultBinding = ScratchTools.options.parse(option, option.default);
+    let overrides =
+      (await chrome.storage.sync.get("shortcuts")).shortcuts || {};
+    let input = document.createElement("input");
+    input.type = "text";
+    input.readOnly = true;
+    input.className = "option-keybinding";
+    input.placeholder = "Press a key";
+    input.value = ScratchTools.options.stringify(
+      option,
+      key in overrides ? overrides[key] : defaultBinding
+    );
+    input.title = "Press Backspace to reset to the default.";
+    optionDiv.appendChild(input);
+    input.addEventListener("keydown", async function (e) {
+      e.preventDefault();
+      var binding = ScratchTools.options.keybindingFromEvent(e);
+      if (!binding) return;
+      var overrides =
+        (await chrome.storage.sync.get("shortcuts")).shortcuts || {};
+      if (e.key === "Backspace") {
+        delete overrides[key];
+        binding = defaultBinding;
+      } else {
+        overrides[key] = binding;
+      }
+      input.value = ScratchTools.options.stringify(option, binding);
+      await saveShortcuts(overrides);
+    });
+  } else {
+    let multiline = [TYPES.text, TYPES.list, TYPES.usernames, TYPES.json];
+    let input;
+    if (multiline.includes(option.type)) {
+      input = document.createElement("textarea");
+      input.className = "option-textarea";
+      input.rows = 3;
+      if (option.type === TYPES.list || option.type === TYPES.usernames) {
+        input.placeholder = "One per line";
+      }
+      optionDiv.classList.add("option-multiline");
+    } else {
+      input = document.createElement("input");
+      input.type = { [TYPES.number]: "number", [TYPES.color]: "color" }[
+        option.type
+      ] || "text";
+      input.placeholder = `Enter ${input.type}`;
+      if (option.step !== undefined) input.step = option.step;
+    }
+    if (option.min !== undefined) input.min = option.min;
+    if (option.max !== undefined) input.max = option.max;
+    input.value = ScratchTools.options.stringify(option, value);
+    optionDiv.appendChild(input);
+    input.addEventListener("input", async function () {
+      var result = ScratchTools.options.validate(option, input.value);
+      input.style.outline = "none";
+      if (input.nextSibling?.className?.includes("validation-explanation")) {
+        input.nextSibling.remove();
+      }
+      if (!result.valid) {
+        input.style.outline = "2px solid #f72f4a";
+        var explanation = document.createElement("span");
+        explanation.className = "validation-explanation";
+        explanation.textContent = result.explanation;
+        explanation.style.color = "#f72f4a";
+        explanation.style.marginBottom = "1rem";
+        input.insertAdjacentElement("afterend", explanation);
+        return;
+      }
+      if (
+        option.type === TYPES.number &&
+        input.value !== "" &&
+        Number(input.value) !== result.value
+      ) {
+        input.value = result.value;
+      }
+      await saveOption(featureId, option.id, result.value ?? null);
+    });
+  }
+  return optionDiv;
+}
+
+async function saveOption(featureId, optionId, value) {
+  if (value === null || value === undefined) {
+    await chrome.storage.sync.remove(optionId);
+  } else {
+    await chrome.storage.sync.set({ [optionId]: value });
+  }
+  chrome.tabs.query({}, function (tabs) {
+    for (var i = 0; i < tabs.length; i++) {
+      try {
+        chrome.scripting.executeScript({
+          args: [featureId, optionId, value],
+          target: { tabId: tabs[i].id },
+          func: updateSettingsFunction,
+          world: "MAIN",
+        });
+        function updateSettingsFunction(feature, name, value) {
+          ScratchTools.updateSetting(feature, name, value);
+        }
+      } catch (err) {
+        console.log(err);
+      }
+    }
+  });
+}
+
+async function showShortcuts() {
+  var languageData = await getFeatureLanguageData();
+  var enabled = (await chrome.storage.sync.get("features")).features || "";
+  var overrides = (await chrome.storage.sync.get("shortcuts")).shortcuts || {};
+  var shortcuts = FEATURES.flatMap((feature) =>
+    feature.shortcuts.map((shortcut) => ({
+      feature: feature.id,
+      id: shortcut.id,
+      name: shortcut.name,
+      default: shortcut.default || null,
+    }))
+  );
+  var modal = ScratchTools.modals.create({
+    title: "Keyboard shortcuts",
+    description:
+      "Click a shortcut and press the keys you want to use instead. Press Backspace to reset it.",
+  });
+  var list = document.createElement("div");
+  list.className = "shortcut-list";
+  modal.insertBefore(list, modal.querySelector("button"));
+
+  function getBinding(shortcut) {
+    var key = `${shortcut.feature}/${shortcut.id}`;
+    return Object.prototype.hasOwnProperty.call(overrides, key)
+      ? overrides[key]
+      : shortcut.default;
+  }
+
+  function render() {
+    list.textContent = "";
+    var active = shortcuts
+      .filter((shortcut) => enabled.includes(shortcut.feature))
+      .map((shortcut) => ({ ...shortcut, binding: getBinding(shortcut) }));
+    shortcuts.forEach(function (shortcut) {
+      var row = document.createElement("div");
+      row.className = "shortcut";
+
+      var label = document.createElement("span");
+      label.textContent = `${getFeatureTitles([shortcut.feature], languageData)}: ${
+        shortcut.name
+      }`;
+      row.appendChild(label);
+
+      var binding = getBinding(shortcut);
+      var input = document.createElement("input");
+      input.type = "text";
+      input.readOnly = true;
+      input.className = "option-keybinding";
+      input.placeholder = "Press a key";
+      input.value = ScratchTools.options.formatKeybinding(binding);
+      row.appendChild(input);
+      input.addEventListener("keydown", async function (e) {
+        e.preventDefault();
+        var binding = ScratchTools.options.keybindingFromEvent(e);
+        if (!binding) return;
+        var key = `${shortcut.feature}/${shortcut.id}`;
+        if (e.key === "Backspace") {
+          delete overrides[key];
+        } else {
+          overrides[key] = binding;
+        }
+        await saveShortcuts(overrides);
+        render();
+      });
+
+      var conflicts = ScratchTools.shortcuts.getConflicts(
+        binding,
+        active,
+        active.find(
+          (el) => el.feature === shortcut.feature && el.id === shortcut.id
+        )
+      );
+      if (conflicts.length) {
+        var warning = document.createElement("span");
+        warning.className = "shortcut-conflict";
+        warning.textContent =
+          "Also used by " +
+          conflicts
+            .map((conflict) =>
+              conflict.feature === "scratch"
+                ? `Scratch (${conflict.name})`
+                : getFeatureTitles([conflict.feature], languageData)
+            )
+            .join(", ");
+        row.appendChild(warning);
+      }
+      list.appendChild(row);
+    });
+  }
+  render();
+}
+
+async function saveShortcuts(shortcuts) {
+  await chrome.storage.sync.set({ shortcuts });
+  chrome.tabs.query({}, function (tabs) {
+    for (var i = 0; i < tabs.length; i++) {
+      try {
+        chrome.scripting.executeScript({
+          args: [shortcuts],
+          target: { tabId: tabs[i].id },
+          func: updateShortcutsFunction,
+          world: "MAIN",
+        });
+        function updateShortcutsFunction(shortcuts) {
+          ScratchTools.Storage.shortcuts = shortcuts;
+        }
+      } catch (err) {
+        console.log(err);
+      }
+    }
+  });
+}
+
+async function showServerSettings() {
+  var modal = ScratchTools.modals.create({
+    title: "Server",
+    description: `Display names, statuses, pinned comments, reactions and other shared features use the ScratchTools server. Enter the URL of another one to use it instead, or "${ScratchTools.server.MOCK_URL}" to use a built-in server that keeps everything in memory.`,
+  });
+  var form = document.createElement("div");
+  form.className = "server-settings";
+  modal.insertBefore(form, modal.querySelector("button"));
+
+  var input = document.createElement("input");
+  input.type = "text";
+  input.placeholder = ScratchTools.server.DEFAULT_URL;
+  input.value = (await chrome.storage.sync.get("serverUrl")).serverUrl || "";
+  form.appendChild(input);
+
+  var error = document.createElement("span");
+  error.className = "server-error";
+  form.appendChild(error);
+
+  var save = document.createElement("button");
+  save.textContent = "Save";
+  save.className = "secondary-btn";
+  save.addEventListener("click", async function () {
+    var url = ScratchTools.server.normalizeUrl(input.value);
+    if (input.value.trim() && !url) {
+      error.textContent = "This needs to be an http or https URL.";
+      return;
+    }
+    error.textContent = "";
+    input.value = url || "";
+    await saveServerUrl(url);
+    save.textContent = "Saved";
+  });
+  form.appendChild(save);
+}
+
+async function saveServerUrl(serverUrl) {
+  if (serverUrl) {
+    await chrome.storage.sync.set({ serverUrl });
+  } else {
+    await chrome.storage.sync.remove("serverUrl");
+  }
+  chrome.tabs.query({}, function (tabs) {
+    for (var i = 0; i < tabs.length; i++) {
+      try {
+        chrome.scripting.executeScript({
+          args: [serverUrl],
+          target: { tabId: tabs[i].id },
+          func: updateServerUrlFunction,
+          world: "MAIN",
+        });
+        function updateServerUrlFunction(serverUrl) {
+          ScratchTools.Storage.serverUrl = serverUrl;
+        }
+      } catch (err) {
+        console.log(err);
+      }
+    }
+  });
+}
+
+function getFeatureTitles(ids, languageData) {
+  return ids
+    .map(function (id) {
+      var feature = FEATURES.find((el) => el.id === id);
+      if (!feature) return null;
+      return languageData[id + "/title"]?.message || feature.title;
+    })
+    .filter((el) => el)
+    .join(", ");
+}
+
+function getConflictingFeatures(id) {
+  var feature = FEATURES.find((el) => el.id === id);
+  return FEATURES.filter(
+    (el) =>
+      el.id !== id &&
+      (el.conflicts.includes(id) || feature?.conflicts.includes(el.id))
+  ).map((el) => el.id);
+}
+
+function getRequiredFeatures(id, found = []) {
+  FEATURES.find((el) => el.id === id)?.requires.forEach(function (required) {
+    if (!found.includes(required) && required !== id) {
+      found.push(required);
+      getRequiredFeatures(required, found);
+    }
+  });
+  return found;
+}
+
+function getFeatureRelations(id, enabled) {
+  var requires = getRequiredFeatures(id).filter((el) => !enabled.includes(el));
+  var conflicts = [id, ...requires]
+    .flatMap((el) => getConflictingFeatures(el))
+    .filter((el, i, all) => enabled.includes(el) && all.indexOf(el) === i);
+  return { requires, conflicts };
+}
+
+function addFeatureRelations(languageData) {
+  FEATURES.forEach(function (feature) {
+    var components = [];
+    if (feature.requires.length) {
+      components.push({
+        type: "info",
+        content: `This feature requires ${getFeatureTitles(
+          feature.requires,
+          languageData
+        )}, which will be enabled with it.`,
+      });
+    }
+    var conflicts = getConflictingFeatures(feature.id);
+    if (conflicts.length) {
+      components.push({
+        type: "warning",
+        content: `This feature is not compatible with ${getFeatureTitles(
+          conflicts,
+          languageData
+        )}. Enabling one will disable the other.`,
+      });
+    }
+    if (feature.enhances.length) {
+      components.push({
+        type: "info",
+        content: `This feature adds to ${getFeatureTitles(
+          feature.enhances,
+          languageData
+        )} when both are enabled.`,
+      });
+    }
+    if (!components.length) return;
+    document
+      .querySelector(`div.feature[data-id="${feature.id}"] > .feature-components`)
+      ?.after(generateComponents(components));
+  });
+}
+
+async function getActivePageType() {
+  var [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.url?.startsWith("https://scratch.mit.edu/")) return null;
+  return ScratchTools.getPageType(tab.url);
+}
+
+function getFailedPageTypes(crashes) {
+  return Object.keys(crashes || {}).filter((type) => crashes[type].quarantined);
+}
+
+function showFeatureCrash(id, crashes, badge) {
+  var failedOn = getFailedPageTypes(crashes);
+  ScratchTools.modals.create({
+    title: "This feature failed on this page",
+    description: `It kept crashing on ${failedOn.join(
+      " and "
+    )} pages, so it was turned off there. The last error was: ${
+      crashes[failedOn[0]].message
+    }`,
+    components: [
+      {
+        content: "Try again",
+        type: "button",
+        callback: async function () {
+          await clearFeatureCrashes(id);
+          badge.remove();
+        },
+        additonalClassNames: ["secondary-btn"],
+      },
+    ],
+  });
+}
+
+// Turning a feature back on gives it another chance on every page type.
+async function clearFeatureCrashes(id) {
+  var all =
+    (await chrome.storage.local.get("featureCrashes")).featureCrashes || {};
+  if (!(id in all)) return;
+  delete all[id];
+  await chrome.storage.local.set({ featureCrashes: all });
+  document
+    .querySelector(`div.feature[data-id="${id}"] .new-feature-tag.failed`)
+    ?.remove();
+}
+
+// Reads features.json, leaving out the entries that don't match its schema.
+// If it can't be read at all, the popup still opens, showing why.
+async function readFeatureList() {
+  try {
+    var list = await (await fetch("/features/features.json")).json();
+    return await ScratchTools.schema.checkFeatures(list);
+  } catch (err) {
+    return {
+      features: [],
+      problems: [
+        {
+          feature: "features.json",
+          errors: [`features.json couldn't be read. ${err.message}`],
+        },
+      ],
+    };
+  }
+}
+
+// Stands in for a feature that's configured incorrectly, so the problem can
+// be seen without it stopping the other features from loading.
+function addBrokenFeature({ feature, errors }) {
+  var div = document.createElement("div");
+  div.className = "feature";
+  div.dataset.id = feature;
+  div.dataset.type = "";
+
+  var h3 = document.createElement("h3");
+  h3.textContent = feature;
+  h3.className = "featureTitle";
+  div.appendChild(h3);
+
+  var span = document.createElement("span");
+  span.textContent = "Couldn't load";
+  span.className = "new-feature-tag failed";
+  div.appendChild(span);
+  span.addEventListener("click", function () {
+    ScratchTools.modals.create({
+      title: "This feature couldn't load",
+      description:
+        "It's configured incorrectly, so ScratchTools skipped it and loaded " +
+        "the other features. These are the problems that were found:",
+      components: [{ type: "code", content: errors.join("\n") }],
+    });
+  });
+
+  document.querySelector(".settings").appendChild(div);
+}
+
+function showKilledFeature(entry) {
+  var where = entry.pages ? ` on ${entry.pages.join(" and ")} pages` : "";
+  ScratchTools.modals.create({
+    title: "This feature was turned off",
+    description: `The ScratchTools team turned it off${where} for now. ${
+      entry.reason ||
+      "It has a problem that's being fixed, and will come back on by itself."
+    }`,
+  });
+}
+
+async function showFeatureRelations(id, relations) {
+  var languageData = await getFeatureLanguageData();
+  var description = [];
+  if (relations.requires.length) {
+    description.push(
+      `It requires ${getFeatureTitles(
+        relations.requires,
+        languageData
+      )}, which will also be enabled.`
+    );
+  }
+  if (relations.conflicts.length) {
+    description.push(
+      `It can't be used at the same time as ${getFeatureTitles(
+        relations.conflicts,
+        languageData
+      )}, which will be disabled.`
+    );
+  }
+  ScratchTools.modals.create({
+    title: "Enable " + getFeatureTitles([id], languageData) + "?",
+    description: description.join(" "),
+    components: [
+      {
+        content: "Enable",
+        type: "button",
+        callback: function () {
+          applyFeatureRelations(id, relations);
+        },
+        additonalClassNames: ["secondary-btn"],
+      },
+    ],
+  });
+}
+
+async function applyFeatureRelations(id, relations) {
+  var data = (await chrome.storage.sync.get("features")).features || "";
+  relations.conflicts.forEach(function (conflict) {
+    data = data.replaceAll(conflict, "");
+  });
+  data = [data, ...relations.requires, id].join(".");
+  await chrome.storage.sync.set({ features: data });
+  relations.conflicts.forEach(function (conflict) {
+    var input = document.querySelector(
+      `div.feature[data-id="${conflict}"] > .switch input`
+    );
+    if (input) input.checked = false;
+    dynamicDisable(conflict);
+  });
+  for (var enabled of [...relations.requires, id]) {
+    var input = document.querySelector(
+      `div.feature[data-id="${enabled}"] > .switch input`
+    );
+    if (input) {
+      input.checked = true;
+      input.closest(".feature").style.display = null;
+    }
+    await dynamicEnable(enabled);
+  }
+}
+
 async function dynamicEnable(id) {
+  await clearFeatureCrashes(id);
   var features = await (await fetch("/features/features.json")).json();
   features.forEach(async function (feature) {
     if (feature.file === id) {
@@ -989,11 +1449,25 @@ async function dynamicEnable(id) {
         chrome.tabs.query({}, function (tabs) {
           for (var i = 0; i < tabs.length; i++) {
             try {
+              // Features in the isolated world can't reach the legacy
+              // runtime, so their file is injected as it is.
+              if (getWorld(feature) === "ISOLATED") {
+                chrome.scripting.executeScript({
+                  target: { tabId: tabs[i].id },
+                  files: [`/features/${feature.file}.js`],
+                  world: "ISOLATED",
+                });
+                continue;
+              }
               chrome.scripting.executeScript({
+                args: [feature.file],
                 target: { tabId: tabs[i].id },
-                files: [`/features/${feature.file}.js`],
+                func: injectLegacyFeature,
                 world: "MAIN",
               });
+              function injectLegacyFeature(id) {
+                ScratchTools.injectLegacy(id);
+              }
             } catch (err) {}
           }
         });
@@ -1061,11 +1535,17 @@ async function dynamicEnable(id) {
   });
 }
 
+function getWorld(feature) {
+  return feature.world?.toLowerCase() === "isolated" ? "ISOLATED" : "MAIN";
+}
+
 async function dynamicDisable(id) {
   var features = await (await fetch("/features/features.json")).json();
   features.forEach(async function (feature) {
     if (feature.file === id) {
-      if (feature.dynamic) {
+      // The legacy runtime can clean up any older feature it ran, dynamic
+      // or not, but not ones in the isolated world.
+      if (getWorld(feature) === "MAIN") {
         chrome.tabs.query({}, function (tabs) {
           for (var i = 0; i < tabs.length; i++) {
             try {
@@ -1218,11 +1698,9 @@ async function getUser() {
 async function getNotifications() {
   var user = await getUser();
   if (user) {
-    var data = await (
-      await fetch(
-        `https://data.scratchtools.app/messages/${user.username}/count/`
-      )
-    ).json();
+    var data = await ScratchTools.server.get(
+      `/messages/${user.username}/count/`
+    );
     if (data.count !== 0) {
       var span = document.createElement("span");
       span.textContent = data.count.toString();
@@ -1326,7 +1804,7 @@ if (document.querySelector(".news")) {
 }
 
 async function getNews() {
-  var data = await (await fetch("https://data.scratchtools.app/news/")).json();
+  var data = await ScratchTools.server.get("/news/");
   var note = document.createElement("div");
   note.className = "note blue";
   var h3 = document.createElement("h3");
@@ -1461,9 +1939,7 @@ function generateComponents(components) {
 }
 
 async function getTrending() {
-  let data = await (
-    await fetch("https://data.scratchtools.app/trending/")
-  ).json();
+  let data = await ScratchTools.server.get("/trending/");
 
   data.forEach(function (el) {
     if (!document.querySelector(`div.feature[data-id='${el}']`)) return;
@@ -8,18 +8,18 @@ function warnUser(el) {
     ) {
       if (document.scratchtoolsMentioned === undefined) {
         document.scratchtoolsMentioned = true;
-        ScratchTools.createModal(
-          "Warning",
-          "Mentioning ScratchTools on Scratch can get you in trouble due to their browser extension policy. If you have feedback to leave, you can do it at https://scratchtools.app/feedback - just remember this and be careful if you do choose to post this comment anyways.",
-          [
+        ScratchTools.ui.toast({
+          title: "Warning",
+          message:
+            "Mentioning ScratchTools on Scratch can get you in trouble due to their browser extension policy. If you have feedback to leave, you can do it at https://scratchtools.app/feedback - just remember this and be careful if you do choose to post this comment anyways.",
+          actions: [
             {
               label: "Feedback",
-              type: "link",
-              href: "https://scratchtools.app/feedback",
+              callback: () =>
+                window.open("https://scratchtools.app/feedback", "_blank"),
             },
-            { label: "Close", type: "close" },
-          ]
-        );
+          ],
+        });
       }
     }
   });
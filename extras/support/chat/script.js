@@ -1,14 +1,20 @@
-let socket = new WebSocket("wss://data.scratchtools.app/");
+let socket;
+ScratchTools.server.socket("/").then(function (opened) {
+  socket = opened;
+  socket.onopen = onOpen;
+  socket.onerror = onError;
+  socket.onmessage = onMessage;
+});
 
-socket.onopen = function (e) {
+function onOpen(e) {
     console.log("Websocket opened.")
-};
+}
 
 var connected = false;
-socket.onerror = function (error) {
+function onError(error) {
   console.log(error);
-};
-socket.onmessage = async function (event) {
+}
+async function onMessage(event) {
   var data = JSON.parse(event.data);
   if (data.connected) {
     socket.send(
@@ -63,7 +69,7 @@ socket.onmessage = async function (event) {
       inline: "nearest",
     });
   }
-};
+}
 
 document.querySelector("button.send").addEventListener("click", send);
 
@@ -101,7 +107,7 @@ function send() {
       block: "end",
       inline: "nearest",
     });
-    if (socket.readyState !== 3) {
+    if (socket && socket.readyState !== 3) {
       socket.send(
         JSON.stringify({
           type: "send",
@@ -42,9 +42,7 @@ export default async function ({ feature, console }) {
 
   async function getFeatured() {
     let FEATURED = [];
-    let data = await (
-      await fetch(feature.server.endpoint("/featured/"))
-    ).json();
+    let data = await feature.server.get("/featured/");
 
     for (var i in data) {
       try {
@@ -4,25 +4,18 @@ if (
 ) {
   if (document.blockLog === undefined) {
     document.blockLog = "ok";
-    document.addEventListener("keydown", function (event) {
-      keydown(event);
-
-      function keydown(e) {
-        if (e.keyCode == 76 && e.shiftKey && e.ctrlKey) {
-          if (displayBlockLog) {
-            if (document.querySelector("#mydiv") === null) {
-              addProjectLog();
-            } else {
-              document.querySelector("#mydiv").remove();
-            }
-            if (e.preventDefault) {
-              e.preventDefault();
-            } else {
-              return false;
-            }
+    ScratchTools.registerShortcut("block-log", "toggle", {
+      preventDefault: false,
+      callback: function (e) {
+        if (displayBlockLog) {
+          if (document.querySelector("#mydiv") === null) {
+            addProjectLog();
+          } else {
+            document.querySelector("#mydiv").remove();
           }
+          e.preventDefault();
         }
-      }
+      },
     });
   }
   function addProjectLog() {
@@ -1,11 +1,17 @@
-async function getBlockedUsers() {
-var blocked = await ScratchTools.storage.get("block") || []
-ScratchTools.waitForElements("li.social-message", async function(message) {
-    if (message.querySelector("a.social-messages-profile-link")) {
-        if (blocked.includes(message.querySelector("a.social-messages-profile-link").textContent)) {
-            message.classList.add("ste-blocked-message")
+export default async function ({ feature }) {
+    var blocked = await ScratchTools.storage.get("block") || []
+    ScratchTools.waitForElements("li.social-message", async function(message) {
+        if (message.querySelector("a.social-messages-profile-link")) {
+            if (blocked.includes(message.querySelector("a.social-messages-profile-link").textContent)) {
+                message.classList.add("ste-blocked-message")
+            }
         }
-    }
-})
+    })
+    feature.settings.on("block", function({ value }) {
+        blocked = value || []
+        document.querySelectorAll("li.social-message").forEach(function(message) {
+            let user = message.querySelector("a.social-messages-profile-link")?.textContent
+            message.classList.toggle("ste-blocked-message", blocked.includes(user))
+        })
+    })
 }
-getBlockedUsers()
\ No newline at end of file
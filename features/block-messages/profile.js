@@ -14,6 +14,10 @@ ScratchTools.waitForElements(
       div.className = "ste-block-user action";
       div.textContent = `${isBlocked ? "Unblock" : "Block"} user`;
       footer.appendChild(div);
+      async function saveBlocked() {
+        await ScratchTools.storage.set({ key: "block", value: blocked });
+        await ScratchTools.broadcastSetting("block-messages", "block", blocked);
+      }
       div.addEventListener("click", async function () {
         isBlocked = !isBlocked;
         div.textContent = `${isBlocked ? "Unblock" : "Block"} user`;
@@ -26,14 +30,14 @@ ScratchTools.waitForElements(
               }
             });
             blocked = newArray;
-            await ScratchTools.storage.set({ key: "block", value: blocked });
+            await saveBlocked();
           } else {
             blocked.push(user);
-            await ScratchTools.storage.set({ key: "block", value: blocked });
+            await saveBlocked();
           }
         } else {
           blocked = [user];
-          await ScratchTools.storage.set({ key: "block", value: blocked });
+          await saveBlocked();
         }
       });
     }
@@ -1,71 +1,31 @@
-if (!document.querySelector(".scratchtools-main-clone-counter")) {
-  ScratchTools.waitForElements(
-    "div[class^='stage-header_stage-size-toggle-group_']",
-    function () {
-      document
-        .querySelector("div[class^='stage-header_stage-size-toggle-group_']")
-        .addEventListener("click", function (event) {
-          var counter = document.querySelector(
-            ".scratchtools-main-clone-counter span"
-          );
-          if (
-            event.target.closest("[class*='stage-header_stage-button-first']")
-          ) {
-            counter.style.display = "none";
-          } else if (
-            event.target.closest("[class*='stage-header_stage-button-last']")
-          ) {
-            counter.style.display = null;
-          }
-        });
-      var div = document.createElement("div");
-      div.className = "scratchtools-main-clone-counter";
-      var img = document.createElement("img");
-      img.src = ScratchTools.Resources["clones"];
-      var span = document.createElement("span");
-      span.textContent = "0 clones";
-      div.appendChild(img);
-      div.appendChild(span);
-      if (!document.querySelector(".scratchtools-main-clone-counter")) {
-        ScratchTools.appendToSharedSpace({
-          space: "afterStopButton",
-          element: div,
-          order: 0,
-        });
-      }
-    },
-    "clone-counter-above-stage",
-    false
-  );
-  var interval = setInterval(function () {
-    if (document.querySelector(".scratchtools-main-clone-counter")) {
-      var counter = document.querySelector(
-        ".scratchtools-main-clone-counter span"
-      );
-      var count = (
-        ScratchTools.Scratch?.vm?.runtime?._cloneCounter || 0
-      ).toString();
-      counter.textContent = count + " clones";
+export default async function ({ feature, console }) {
+  let div = document.createElement("div");
+  div.className = "scratchtools-main-clone-counter";
+  let img = document.createElement("img");
+  img.src = feature.self.getResource("clones");
+  let span = document.createElement("span");
+  span.textContent = "0 clones";
+  div.appendChild(img);
+  div.appendChild(span);
+
+  feature.spaces.add({
+    space: "afterStopButton",
+    element: div,
+    order: 0,
+  });
+
+  feature.traps.on("cloneCountChanged", function ({ count }) {
+    span.textContent = count + " clones";
+  });
+
+  // The count is hidden while the stage is small.
+  feature.lifecycle.addEventListener(document, "click", function (event) {
+    if (event.target.closest("[class*='stage-header_stage-button-first']")) {
+      span.style.display = "none";
     } else if (
-      document.querySelector(
-        "div[class^='stage-header_stage-size-toggle-group_']"
-      )
+      event.target.closest("[class*='stage-header_stage-button-last']")
     ) {
-      var div = document.createElement("div");
-      div.className = "scratchtools-main-clone-counter";
-      var img = document.createElement("img");
-      img.src = ScratchTools.Resources["clones"];
-      var span = document.createElement("span");
-      span.textContent = "0 clones";
-      div.appendChild(img);
-      div.appendChild(span);
-      if (!document.querySelector(".scratchtools-main-clone-counter")) {
-        ScratchTools.appendToSharedSpace({
-          space: "afterStopButton",
-          element: div,
-          order: 0,
-        });
-      }
+      span.style.display = null;
     }
-  }, 100);
+  });
 }
@@ -4,204 +4,42 @@
  * Allows searching and inserting blocks or running commands
  */
 export default async function ({ feature, console }) {
-  // Track last mouse position for placing blocks and positioning palette
-  let lastMouse = null;
-
-  document.addEventListener("mousemove", (e) => {
-    lastMouse = { x: e.clientX, y: e.clientY };
-  });
-
   // ===== WORKSPACE UTILITIES =====
 
-  /**
-   * Get Blockly workspace safely via feature traps
-   */
-  function getWorkspace() {
-    try {
-      return feature.traps.blockly.getMainWorkspace();
-    } catch (e) {
-      return null;
-    }
-  }
+  const getWorkspace = feature.blocks.getWorkspace;
 
   /**
-   * Get Blockly XML utilities (prefers ScratchBlocks, falls back to global Blockly)
+   * Get Blockly XML utilities from the editor's ScratchBlocks
    */
   function getBlocklyXml() {
-    try {
-      const scratch = ScratchTools?.traps?.getScratchBlocks?.();
-      if (scratch?.Xml?.textToDom && scratch?.Xml?.domToBlock) return scratch.Xml;
-    } catch (e) {}
-    if (window.Blockly?.Xml?.textToDom && window.Blockly?.Xml?.domToBlock) {
-      return window.Blockly.Xml;
-    }
-    return null;
+    return feature.blocks.getScratchBlocks()?.Xml || null;
   }
 
   /**
    * Get Blockly message dictionary for localized block labels
    */
   function getBlocklyMsg() {
-    try {
-      const scratch = ScratchTools?.traps?.getScratchBlocks?.();
-      if (scratch?.Msg) return scratch.Msg;
-    } catch (e) {}
-    return window.Blockly?.Msg || null;
+    return feature.blocks.getScratchBlocks()?.Msg || null;
   }
 
   // ===== BLOCK CREATION & PLACEMENT =====
 
   /**
-   * Convert screen coordinates to workspace coordinates
+   * Create a block from XML, attach it to the selected block or put it at
+   * the cursor, and pick it up
    */
-  function screenToWorkspace(ws, screenX, screenY) {
+  function insertBlock(xml) {
     try {
-      const canvas = ws.getCanvas?.();
-      const rect = canvas?.getBoundingClientRect?.();
-      const metrics = ws.getMetrics?.();
-      if (!rect || !metrics) return null;
-
-      const scale = metrics.scale || 1;
-      const clientX = screenX - rect.left;
-      const clientY = screenY - rect.top;
-
-      return {
-        x: (metrics.viewLeft || 0) + clientX / scale,
-        y: (metrics.viewTop || 0) + clientY / scale,
-      };
-    } catch (e) {
-      return null;
-    }
-  }
-
-  /**
-   * Place a block at the given workspace coordinates
-   */
-  function placeBlockAt(block, targetX, targetY) {
-    try {
-      const current = block.getRelativeToSurfaceXY?.();
-      if (current && typeof current.x === "number") {
-        block.moveBy(targetX - current.x, targetY - current.y);
-      } else {
-        block.moveBy(targetX, targetY);
-      }
-    } catch (e) {
-      console.warn("Failed to place block", e);
-    }
-  }
-
-  /**
-   * Place block at cursor position or fallback to default position
-   */
-  function placeAtCursor(block, ws) {
-    if (lastMouse) {
-      const wsCoords = screenToWorkspace(ws, lastMouse.x, lastMouse.y);
-      if (wsCoords) {
-        placeBlockAt(block, wsCoords.x, wsCoords.y);
-        return;
-      }
-    }
-    // Fallback: place at default position
-    placeBlockAt(block, 100, 100);
-  }
-
-  /**
-   * Create and place a block from XML definition
-   */
-  function insertBlock(xml, type) {
-    const ws = getWorkspace();
-    if (!ws) return;
-
-    const Xml = getBlocklyXml();
-    let block = null;
-
-    try {
-      if (Xml) {
-        const dom = Xml.textToDom(xml);
-        block = Xml.domToBlock(dom, ws);
-      } else if (typeof ws.newBlock === "function") {
-        block = ws.newBlock(type);
-      }
-
+      const block = feature.blocks.insertXml(xml, { connect: true });
       if (!block) {
         console.error("Could not create block");
         return;
       }
-
-      block.initSvg?.();
-      block.render?.();
+      block.select?.();
+      feature.blocks.beginDrag(block);
     } catch (err) {
       console.error("Block creation failed", err);
-      return;
     }
-
-    // Try to connect to selected block, otherwise place at cursor
-    const selected = ws.getSelected?.();
-    if (selected?.nextConnection && block.previousConnection) {
-      try {
-        selected.nextConnection.connect(block.previousConnection);
-      } catch (e) {
-        placeAtCursor(block, ws);
-      }
-    } else {
-      placeAtCursor(block, ws);
-    }
-
-    // Finalize and select the new block
-    try {
-      block.initSvg?.();
-      block.render?.();
-      block.select?.();
-    } catch (e) {}
-
-    // Attempt to start hover-drag
-    startBlockDrag(block);
-  }
-
-  /**
-   * Start a drag gesture on a block by simulating mouse events
-   */
-  function startBlockDrag(block) {
-    if (!lastMouse || !block) return;
-
-    try {
-      // Wait for render to complete
-      requestAnimationFrame(() => {
-        try {
-          const svgRoot = block.getSvgRoot?.() || block.svgGroup_;
-          if (!svgRoot || typeof svgRoot.dispatchEvent !== "function") return;
-
-          // Dispatch mousedown to start drag
-          const mouseDownEvent = new MouseEvent("mousedown", {
-            bubbles: true,
-            cancelable: true,
-            view: window,
-            clientX: lastMouse.x,
-            clientY: lastMouse.y,
-            button: 0,
-          });
-          svgRoot.dispatchEvent(mouseDownEvent);
-
-          // Small delay then dispatch mousemove to initiate drag gesture
-          requestAnimationFrame(() => {
-            try {
-              const mouseMoveEvent = new MouseEvent("mousemove", {
-                bubbles: true,
-                cancelable: true,
-                view: window,
-                clientX: lastMouse.x + 2,
-                clientY: lastMouse.y + 2,
-                button: 0,
-              });
-              svgRoot.dispatchEvent(mouseMoveEvent);
-
-              // Dispatch on document as well (Blockly may listen there)
-              document.dispatchEvent(mouseMoveEvent);
-            } catch (e) {}
-          });
-        } catch (e) {}
-      });
-    } catch (e) {}
   }
 
   // ===== PALETTE UI =====
@@ -211,21 +49,6 @@ export default async function ({ feature, console }) {
   let lastCandidates = [];
   let commandHistory = []; // Track recently used commands
 
-  // Read keybinding settings
-  const getKey = () => (feature.settings.get("key") || "P").toUpperCase();
-  const getShift = () => feature.settings.get("shift") ?? true;
-  const getCtrl = () => feature.settings.get("ctrl") ?? false;
-  const getAlt = () => feature.settings.get("alt") ?? false;
-
-  const KEY_OPEN = (e) => {
-    const keyMatch = e.key.toUpperCase() === getKey();
-    const shiftMatch = getShift() ? e.shiftKey : true;
-    const ctrlMatch = getCtrl() ? (e.ctrlKey || e.metaKey) : true;
-    const altMatch = getAlt() ? e.altKey : true;
-    
-    return keyMatch && shiftMatch && ctrlMatch && altMatch;
-  };
-
   // Ensure hideOnDisable callback exists
   feature.self.hideOnDisable = feature.self.hideOnDisable || (() => {});
 
@@ -310,6 +133,7 @@ export default async function ({ feature, console }) {
         const width = rect.width || p.el.offsetWidth || 560;
         const height = rect.height || p.el.offsetHeight || 200;
         let x, y;
+        const lastMouse = feature.blocks.getMouse();
 
         if (lastMouse) {
           const inputOffset = p.input.offsetLeft || 0;
@@ -1188,7 +1012,7 @@ export default async function ({ feature, console }) {
       id: b.type,
       text: b.text,
       type: "Insert",
-      action: () => insertBlock(b.xml, b.type),
+      action: () => insertBlock(b.xml),
       category: b.category,
       categoryColour: b.categoryColour,
     }));
@@ -1232,11 +1056,9 @@ export default async function ({ feature, console }) {
   // ===== EVENT LISTENERS =====
 
   // Global keyboard listener
+  feature.shortcuts.on("open", openPalette);
   document.addEventListener("keydown", (e) => {
-    if (KEY_OPEN(e)) {
-      e.preventDefault();
-      openPalette();
-    } else if (e.key === "Escape") {
+    if (e.key === "Escape") {
       closePalette();
     }
   });
@@ -5,12 +5,9 @@ style.textContent = `
 }
 `;
 document.body.appendChild(style);
-ScratchTools.waitForElements(
-  ".dropdown.production.open",
-  removeThree,
-  "compact 3.0",
-  false
-);
+ScratchTools.waitForElements(".dropdown.production.open", removeThree, {
+  attributes: true,
+});
 ScratchTools.waitForElements(".user-nav", removeTwo, "compact 2.0", false);
 function removeThree(el) {
   el.querySelector("span").textContent =
@@ -1,11 +1,7 @@
 async function getDisplayName() {
-  var data = await (
-    await fetch(
-      `https://data.scratchtools.app/name/${
-        window.location.pathname.split("/")[2]
-      }/`
-    )
-  ).json();
+  var data = await ScratchTools.server.get(
+    `/name/${window.location.pathname.split("/")[2]}/`
+  );
   if (data.displayName) {
     if (!document.querySelector(".ste-display-name")) {
       var span = document.createElement("span");
@@ -6,15 +6,11 @@ export default async function ({ feature }) {
   }
 
   let oldContent = box.querySelector("h4").textContent;
-  if (feature.self.enabled) {
-    box.querySelector("h4").textContent = "Dumpster Fire";
-  }
-
-  feature.addEventListener("disabled", function () {
-    box.querySelector("h4").textContent = oldContent;
-  });
 
-  feature.addEventListener("enabled", function () {
+  feature.lifecycle.setup(function () {
     box.querySelector("h4").textContent = "Dumpster Fire";
+    return function () {
+      box.querySelector("h4").textContent = oldContent;
+    };
   });
 }
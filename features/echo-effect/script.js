@@ -1,29 +1,12 @@
-export default function ({ feature, console, scratchClass }) {
-  ScratchTools.waitForElements(
-    "div[class^='sound-editor_row_'][class*='sound-editor_row-reverse_']",
-    function (container) {
-      if (container.querySelector(".ste-echo")) return;
-      let button = document.createElement("div");
-      button.className =
-        `${scratchClass("icon-button_container_")} ${scratchClass("sound-editor_effect-button_")} ste-echo`;
-      button.role = "button";
-
-      feature.self.hideOnDisable(button)
-
-      button.addEventListener("click", function() {
-        feature.traps.sound().handleEffect("echo")
-      })
-
-      let img = document.createElement("img");
-      img.src = feature.self.getResource("echo-effect-btn");
-      img.draggable = false;
-      button.appendChild(img);
-
-      let title = document.createElement("div");
-      title.className = scratchClass("icon-button_title_");
-      title.textContent = feature.msg("echo");
-      button.appendChild(title);
-
-      container.appendChild(button)
-    })
+export default function ({ feature, console }) {
+  feature.sound.addEffectButton({
+    name: feature.msg("echo"),
+    icon: feature.self.getResource("echo-effect-btn"),
+    className: "ste-echo",
+    // Before the effects from more-sound-effects, which start at 0.
+    order: -1,
+    onClick: function () {
+      feature.sound.getEditor().handleEffect("echo");
+    },
+  });
 }
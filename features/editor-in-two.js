@@ -2,78 +2,76 @@ if (
   window.location.href.startsWith("https://scratch.mit.edu/projects/") &&
   window.location.href.includes("/editor")
 ) {
-  var style = document.createElement("style");
-  style.innerHTML = `
-.gui_flex-wrapper_uXHkj {
+  var style = ScratchTools.classes.createStyle(`
+.gui_flex-wrapper_ {
   flex-direction: row-reverse !important;
 }
-.target-pane_target-pane_3S5E6 {
+.target-pane_target-pane_ {
   flex-direction: row-reverse !important;
 }
-[dir="ltr"] .sprite-selector_sprite-selector_2KgCX {
+[dir="ltr"] .sprite-selector_sprite-selector_ {
   margin-left: calc(0.5rem / 2) !important;
   margin-right: 0 !important;
 }
-.target-pane_stage-selector-wrapper_qekSW {
+.target-pane_stage-selector-wrapper_ {
   margin-left: 0 !important;
   margin-right: calc(0.5rem / 2) !important;
 }
 
-.stage-header_stage-menu-wrapper_15JJt {
+.stage-header_stage-menu-wrapper_ {
   flex-direction: row-reverse !important;
 }
 
 .blocklyMainBackground {
     fill: #dddede !important;
 }
-.gui_menu-bar-position_3U1T0.menu-bar_menu-bar_JcuHF.box_box_2jjDp {
+.gui_menu-bar-position_.menu-bar_menu-bar_.box_box_ {
 background-color: #9c9ea2;
 }
 
-.delete-button_delete-button_2Nzko.sprite-selector-item_delete-button_1rkFW {
+.delete-button_delete-button_.sprite-selector-item_delete-button_ {
 left: -.625rem;
 right: inherit !important;
 }
 
-.sprite-selector-item_sprite-info_-I0i_ {
+.sprite-selector-item_sprite-info_ {
 background: none !important;
 color: hsla(225, 15%, 40%, 1) !important;
 }
 
-.react-contextmenu-wrapper.sprite-selector_sprite_21WnR.sprite-selector-item_sprite-selector-item_kQm-i.sprite-selector-item_is-selected_24tQj {
+.react-contextmenu-wrapper.sprite-selector_sprite_.sprite-selector-item_sprite-selector-item_.sprite-selector-item_is-selected_ {
 box-shadow: none;
 -webkit-box-shadow: none;
 }
 
-.stage_stage_1fD7k.box_box_2jjDp {
+.stage_stage_.box_box_ {
     border-radius: 0px;
 }
 
-.stage-header_stage-menu-wrapper_15JJt.box_box_2jjDp {
+.stage-header_stage-menu-wrapper_.box_box_ {
     background-color: #eaecec;
 }
 
-.gui_body-wrapper_-N0sA, .sprite-selector_sprite-selector_2KgCX.box_box_2jjDp {
+.gui_body-wrapper_, .sprite-selector_sprite-selector_.box_box_ {
     background-color: #e6e8e8;
 }
 
-.sprite-info_sprite-info_3EyZh.box_box_2jjDp {
+.sprite-info_sprite-info_.box_box_ {
 display: none;
 }
 
-.input_input-form_l9eYg.project-title-input_title-field_en5Gd.menu-bar_title-field-growable_3qr4G:placeholder {
+.input_input-form_.project-title-input_title-field_.menu-bar_title-field-growable_:placeholder {
 color: hsla(225, 15%, 40%, 1) !important;
 }
 
-.input_input-form_l9eYg.project-title-input_title-field_en5Gd.menu-bar_title-field-growable_3qr4G {
+.input_input-form_.project-title-input_title-field_.menu-bar_title-field-growable_ {
 color: hsla(225, 15%, 40%, 1) !important;
 }
-`;
+`);
   document.querySelector("html").appendChild(style);
 
   function GM_addStyle(text) {
-    var style = document.createElement("style");
-    style.innerHTML = text;
+    var style = ScratchTools.classes.createStyle(text);
     document.body.appendChild(style);
   }
   //Procedures
@@ -268,66 +266,57 @@ color: hsla(225, 15%, 40%, 1) !important;
   background-color: rgba(0, 0, 0, 0.2);
 }
 
-.sound-editor_waveform-container_1x_b1 {
+.sound-editor_waveform-container_ {
     background: none;
 }
 
-.waveform_waveform-path_TskyB {
+.waveform_waveform-path_ {
     fill: #282929;
     stroke: none;
 }
 
-.icon-button_container_278u5.sound-editor_effect-button_2zuzT > img {
+.icon-button_container_.sound-editor_effect-button_ > img {
     filter: brightness(0%);
 }
 
-.sprite-selector-item_number_AnXUk {
+.sprite-selector-item_number_ {
     right: 0.15rem;
 left: inherit !important;
 }
 `);
   function addOtherAttributes() {
-    if (
-      document.querySelector(
-        ".menu-bar_menu-bar-item_oLDa-.menu-bar_growable_1sHWN"
-      ) !== null &&
-      document.querySelector(
-        ".stage-header_stage-menu-wrapper_15JJt.box_box_2jjDp"
-      ) !== null &&
-      document.querySelector(
-        ".input_input-form_l9eYg.project-title-input_title-field_en5Gd.menu-bar_title-field-growable_3qr4G"
-      ) !== null
-    ) {
+    var menuItem = document.querySelector(
+      ScratchTools.classes.rewrite(".menu-bar_menu-bar-item_.menu-bar_growable_")
+    );
+    var stageMenu = document.querySelector(
+      ScratchTools.classes.rewrite(".stage-header_stage-menu-wrapper_.box_box_")
+    );
+    var titleField = document.querySelector(
+      ScratchTools.classes.rewrite(
+        ".input_input-form_.project-title-input_title-field_.menu-bar_title-field-growable_"
+      )
+    );
+    if (menuItem !== null && stageMenu !== null && titleField !== null) {
       waitForEditorNavBarForTwo.disconnect();
       try {
-        document
-          .querySelector(".stage-header_stage-menu-wrapper_15JJt.box_box_2jjDp")
-          .insertBefore(
-            document.querySelector(
-              ".input_input-form_l9eYg.project-title-input_title-field_en5Gd.menu-bar_title-field-growable_3qr4G"
-            ),
-            document.querySelector(".stage-header_stage-size-row_14N65")
-          );
-        document.querySelector(
-          ".input_input-form_l9eYg.project-title-input_title-field_en5Gd.menu-bar_title-field-growable_3qr4G"
-        ).style.marginLeft = "0.2rem";
-        document.querySelector(
-          ".input_input-form_l9eYg.project-title-input_title-field_en5Gd.menu-bar_title-field-growable_3qr4G"
-        ).style.marginRight = "0.2rem";
-        document.querySelector(
-          ".input_input-form_l9eYg.project-title-input_title-field_en5Gd.menu-bar_title-field-growable_3qr4G"
-        ).style.color = "hsla(225, 15%, 40%, 1) !important";
+        stageMenu.insertBefore(
+          titleField,
+          document.querySelector(
+            ScratchTools.classes.rewrite(".stage-header_stage-size-row_")
+          )
+        );
+        titleField.style.marginLeft = "0.2rem";
+        titleField.style.marginRight = "0.2rem";
+        titleField.style.color = "hsla(225, 15%, 40%, 1) !important";
         document.querySelector(".blocklyFlyout").width = "300";
 
         document.querySelector(".blocklyFlyout").transform = null;
 
         document.querySelector(
-          ".menu-bar_scratch-logo_2uReV.menu-bar_clickable_1g3uo"
+          ScratchTools.classes.rewrite(".menu-bar_scratch-logo_.menu-bar_clickable_")
         ).src =
           "https://raw.githubusercontent.com/LLK/scratch-flash/develop/src/assets/UI/topbar/scratchlogoOff.png";
-        document.querySelector(
-          ".menu-bar_menu-bar-item_oLDa-.menu-bar_growable_1sHWN"
-        ).style.display = "none";
+        menuItem.style.display = "none";
       } catch (err) {}
     }
   }
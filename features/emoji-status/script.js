@@ -2,13 +2,9 @@ async function getStatus() {
   if (document.querySelector(".ste-status")) {
     document.querySelector(".ste-status").remove();
   }
-  var data = await (
-    await fetch(
-      `https://data.scratchtools.app/status/${
-        window.location.pathname.split("/")[2]
-      }/`
-    )
-  ).json();
+  var data = await ScratchTools.server.get(
+    `/status/${window.location.pathname.split("/")[2]}/`
+  );
   var span = document.createElement("span");
   span.className = "ste-status";
   span.textContent = data.status || "🙂";
@@ -1,5 +1,5 @@
 export default async function ({ feature, console }) {
-  filterStyleSheet(feature.settings.get("filter-operation") || "blur");
+  filterStyleSheet(feature.settings.get("filter-operation"));
   const filterDefault = `{
     "title": {},
     "author": {},
@@ -132,8 +132,8 @@ export default async function ({ feature, console }) {
     }
   }
 
-  feature.settings.addEventListener("changed", function ({ key, value }) {
-    if (key == "filter-operation") filterStyleSheet(value);
+  feature.settings.on("filter-operation", function ({ value }) {
+    filterStyleSheet(value);
   });
 
   page = window.location.pathname.split("/");
@@ -2,13 +2,9 @@ export default async function({ feature, console }) {
   if (document.querySelector(".ste-isonline")) {
     document.querySelector(".ste-isonline").remove();
   }
-  var data = await (
-    await fetch(
-      `https://data.scratchtools.app/isonline/${
-        window.location.pathname.split("/")[2]
-      }/`
-    )
-  ).json();
+  var data = await feature.server.get(
+    `/isonline/${window.location.pathname.split("/")[2]}/`
+  );
   if (data.scratchtools) {
     var span = document.createElement("span");
     span.className =
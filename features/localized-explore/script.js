@@ -11,8 +11,8 @@ export default async function ({ feature, console }) {
 
   async function getLanguage(country) {
     try {
-      const res = await fetch(
-        `https://data.scratchtools.app/language/${encodeURIComponent(country)}?fullText=true`
+      const res = await feature.server.fetch(
+        `/language/${encodeURIComponent(country)}?fullText=true`
       );
       if (!res.ok) return null;
       const data = await res.json();
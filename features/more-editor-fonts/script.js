@@ -4,7 +4,7 @@ export default async function ({ feature, console, scratchClass }) {
   );
   openTypeDefault();
 
-  let fonts = await (await fetch(feature.server.endpoint("/fonts/"))).json();
+  let fonts = await feature.server.get("/fonts/");
 
   feature.page.waitForElements(
     "div[class^='asset-panel_wrapper_'] div[class^='action-menu_more-buttons_']",
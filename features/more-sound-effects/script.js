@@ -0,0 +1,264 @@
+export default async function ({ feature, console }) {
+  function createBuffer(samples, sampleRate) {
+    let buffer = new AudioBuffer({
+      length: Math.max(samples.length, 1),
+      numberOfChannels: 1,
+      sampleRate,
+    });
+    buffer.copyToChannel(samples, 0);
+    return buffer;
+  }
+
+  function fromDecibels(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  // Stretches a sound to factor times its length without changing its pitch,
+  // by overlapping windowed grains spaced further apart (or closer together).
+  function stretch(samples, factor) {
+    let grain = 2048;
+    let hop = grain / 4;
+    let length = Math.round(samples.length * factor);
+    let output = new Float32Array(length);
+    let weights = new Float32Array(length);
+    let window = new Float32Array(grain).map(
+      (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (grain - 1))
+    );
+    for (let out = 0; out < length; out += hop) {
+      let from = Math.round(out / factor);
+      for (let i = 0; i < grain && out + i < length; i++) {
+        let sample = samples[from + i] || 0;
+        output[out + i] += sample * window[i];
+        weights[out + i] += window[i];
+      }
+    }
+    return output.map((sample, i) =>
+      weights[i] > 1e-3 ? sample / weights[i] : 0
+    );
+  }
+
+  // Changes the length by reading the samples faster or slower, which also
+  // changes the pitch.
+  function resample(samples, length) {
+    let output = new Float32Array(length);
+    let ratio = (samples.length - 1) / Math.max(length - 1, 1);
+    for (let i = 0; i < length; i++) {
+      let position = i * ratio;
+      let index = Math.floor(position);
+      let next = samples[Math.min(index + 1, samples.length - 1)];
+      output[i] = samples[index] + (next - samples[index]) * (position - index);
+    }
+    return output;
+  }
+
+  const CURVES = {
+    linear: (t) => t,
+    exponential: (t) => t * t,
+    logarithmic: (t) => Math.sqrt(t),
+    "s-curve": (t) => 0.5 - 0.5 * Math.cos(Math.PI * t),
+  };
+
+  const THRESHOLD_FIELD = {
+    name: "threshold",
+    label: "Threshold (dB)",
+    type: "number",
+    value: -40,
+    required: true,
+  };
+
+  let effects = [
+    {
+      name: "Normalize",
+      icon: "normalize",
+      process: function (buffer) {
+        let samples = buffer.getChannelData(0);
+        let peak = samples.reduce(
+          (max, el) => Math.max(max, Math.abs(el)),
+          0
+        );
+        if (!peak) return buffer;
+        let gain = fromDecibels(-0.3) / peak;
+        return createBuffer(
+          samples.map((el) => el * gain),
+          buffer.sampleRate
+        );
+      },
+    },
+    {
+      name: "Fade",
+      icon: "fade",
+      fields: [
+        {
+          name: "direction",
+          label: "Direction",
+          type: "select",
+          options: [
+            { value: "in", label: "Fade in" },
+            { value: "out", label: "Fade out" },
+          ],
+        },
+        {
+          name: "curve",
+          label: "Curve",
+          type: "select",
+          options: Object.keys(CURVES),
+        },
+      ],
+      process: function (buffer, { direction, curve }) {
+        let samples = buffer.getChannelData(0);
+        let last = Math.max(samples.length - 1, 1);
+        return createBuffer(
+          samples.map(function (el, i) {
+            let t = direction === "in" ? i / last : 1 - i / last;
+            return el * CURVES[curve](t);
+          }),
+          buffer.sampleRate
+        );
+      },
+    },
+    {
+      name: "Pitch Shift",
+      icon: "pitch",
+      fields: [
+        {
+          name: "semitones",
+          label: "Semitones",
+          type: "number",
+          value: 12,
+          required: true,
+        },
+      ],
+      process: function (buffer, { semitones }) {
+        let ratio = Math.pow(2, semitones / 12);
+        let samples = buffer.getChannelData(0);
+        return createBuffer(
+          resample(stretch(samples, ratio), samples.length),
+          buffer.sampleRate
+        );
+      },
+    },
+    {
+      name: "Time Stretch",
+      icon: "stretch",
+      fields: [
+        {
+          name: "speed",
+          label: "Speed (%)",
+          type: "number",
+          value: 50,
+          required: true,
+        },
+      ],
+      process: function (buffer, { speed }) {
+        if (speed < 10 || speed > 1000) {
+          throw new Error("The speed has to be between 10% and 1000%.");
+        }
+        return createBuffer(
+          stretch(buffer.getChannelData(0), 100 / speed),
+          buffer.sampleRate
+        );
+      },
+    },
+    {
+      name: "Reverb",
+      icon: "reverb",
+      fields: [
+        {
+          name: "length",
+          label: "Length (seconds)",
+          type: "number",
+          value: 1.5,
+          step: "any",
+          required: true,
+        },
+        {
+          name: "mix",
+          label: "Mix (%)",
+          type: "number",
+          value: 35,
+          min: 0,
+          max: 100,
+          required: true,
+        },
+      ],
+      process: async function (buffer, { length, mix }) {
+        let { sampleRate } = buffer;
+        let seconds = Math.min(Math.max(length, 0.1), 10);
+        mix = Math.min(Math.max(mix, 0), 100);
+        let tail = Math.round(seconds * sampleRate);
+        let context = new OfflineAudioContext(
+          1,
+          buffer.length + tail,
+          sampleRate
+        );
+
+        // A burst of decaying noise sounds like a room's echoes.
+        let impulse = context.createBuffer(1, tail, sampleRate);
+        let data = impulse.getChannelData(0);
+        for (let i = 0; i < tail; i++) {
+          data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / tail, 3);
+        }
+
+        let source = context.createBufferSource();
+        source.buffer = buffer;
+        let convolver = context.createConvolver();
+        convolver.buffer = impulse;
+        let dry = context.createGain();
+        dry.gain.value = 1 - mix / 100;
+        let wet = context.createGain();
+        wet.gain.value = mix / 100;
+        source.connect(dry).connect(context.destination);
+        source.connect(convolver).connect(wet).connect(context.destination);
+        source.start();
+        return await context.startRendering();
+      },
+    },
+    {
+      name: "Noise Gate",
+      icon: "gate",
+      fields: [THRESHOLD_FIELD],
+      process: function (buffer, { threshold }) {
+        let samples = buffer.getChannelData(0);
+        let limit = fromDecibels(threshold);
+        // The level is followed smoothly, so quiet parts fade out over about
+        // 10ms instead of clicking.
+        let smoothing = 1 / (0.01 * buffer.sampleRate);
+        let envelope = 0;
+        let gain = 1;
+        return createBuffer(
+          samples.map(function (el) {
+            envelope = Math.max(Math.abs(el), envelope * (1 - smoothing));
+            gain += ((envelope >= limit ? 1 : 0) - gain) * smoothing;
+            return el * gain;
+          }),
+          buffer.sampleRate
+        );
+      },
+    },
+    {
+      name: "Trim Silence",
+      icon: "trim",
+      fields: [THRESHOLD_FIELD],
+      process: function (buffer, { threshold }) {
+        let samples = buffer.getChannelData(0);
+        let limit = fromDecibels(threshold);
+        let start = samples.findIndex((el) => Math.abs(el) >= limit);
+        if (start === -1) {
+          throw new Error("The whole sound is quieter than the threshold.");
+        }
+        let end = samples.findLastIndex((el) => Math.abs(el) >= limit) + 1;
+        return createBuffer(samples.slice(start, end), buffer.sampleRate);
+      },
+    },
+  ];
+
+  effects.forEach(function ({ name, icon, fields, process }, i) {
+    feature.sound.registerEffect({
+      name,
+      icon: feature.self.getResource(`effect-${icon}`),
+      fields,
+      process,
+      order: i,
+    });
+  });
+}
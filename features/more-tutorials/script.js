@@ -1,7 +1,5 @@
 async function postIdeas() {
-  var data = await (
-    await fetch("https://data.scratchtools.app/tutorials/")
-  ).json();
+  var data = await ScratchTools.server.get("/tutorials/");
   var parent = await ScratchTools.waitForElement(
     "section.ttt-section > .masonry"
   );
@@ -1,91 +1,50 @@
-export default async function ({ feature, scratchClass }) {
-  ScratchTools.waitForElements(
-    "div[class^='mode-tools_mod-labeled-icon-height_']",
-    function (row) {
-      if (row.querySelector(".ste-align-items")) return;
-
-      let span = document.createElement("span");
-      span.className =
-        `${scratchClass("button_button_")} ${scratchClass("labeled-icon-button_mod-edit-field_")} ste-align-items`;
-      span.role = "button";
-
-      let img = document.createElement("img");
-      img.src = feature.self.getResource("paint-align");
-      img.className = scratchClass("labeled-icon-button_edit-field-icon_");
-      img.alt = feature.msg("align");
-      img.title = feature.msg("align");
-      img.draggable = false;
-      span.appendChild(img);
-
-      let label = document.createElement("span");
-      label.textContent = feature.msg("align");
-      label.className = scratchClass("labeled-icon-button_edit-field-title_");
-      span.appendChild(label);
-
-      span.addEventListener("click", function (e) {
-        if (span.className.includes("disabled")) return;
-        centerObjects(e.shiftKey);
-      });
-
-      row.appendChild(span);
-    }
-  );
-
-  feature.redux.target.addEventListener("statechanged", function(e) {
-    if (e.detail.action.type.startsWith("scratch-paint/")) {
-    if (document.querySelector(".ste-align-items")) {
-      let span = document.querySelector(".ste-align-items");
-
-      if (
-        feature.traps.paint().format === "BITMAP" ||
-        feature.traps.paint().selectedItems?.length < 2
-      ) {
-        span.classList.add("button_mod-disabled_1rf31");
-      } else {
-        span.classList.remove("button_mod-disabled_1rf31");
-      }
-    }
-  }
+export default async function ({ feature }) {
+  feature.paint.addToolbarButton({
+    label: feature.msg("align"),
+    icon: feature.self.getResource("paint-align"),
+    className: "ste-align-items",
+    order: 1,
+    enabled: (state) =>
+      state.format !== "BITMAP" && state.selectedItems?.length >= 2,
+    onClick: (e) => centerObjects(e.shiftKey),
   });
 
-  async function centerObjects(stay) {
-    let items = feature.traps.paint().selectedItems;
-
-    let allX = [];
-    let allY = [];
-    let average = (array) => array.reduce((a, b) => a + b) / array.length;
+  function centerObjects(stay) {
+    return feature.paint.edit(function (paper, items) {
+      let allX = [];
+      let allY = [];
+      let average = (array) => array.reduce((a, b) => a + b) / array.length;
 
-    for (var i in items) {
-      allX.push(getMidPoint(items[i].segments).x);
-      allY.push(getMidPoint(items[i].segments).y);
-    }
+      for (var i in items) {
+        allX.push(getMidPoint(items[i].segments).x);
+        allY.push(getMidPoint(items[i].segments).y);
+      }
 
-    let trueMidpoint = stay
-      ? {
-          x: getMidPoint(items[0].segments).x,
-          y: getMidPoint(items[0].segments).y,
+      let trueMidpoint = stay
+        ? {
+            x: getMidPoint(items[0].segments).x,
+            y: getMidPoint(items[0].segments).y,
+          }
+        : { x: average(allX), y: average(allY) };
+
+      for (var i in items) {
+        let selfMidpoint = getMidPoint(items[i].segments);
+        let adjustX = trueMidpoint.x - selfMidpoint.x;
+        let adjustY = trueMidpoint.y - selfMidpoint.y;
+
+        for (var seg in items[i].segments) {
+          items[i].segments[seg]._point._x += adjustX;
+          items[i].segments[seg]._point._y += adjustY;
         }
-      : { x: average(allX), y: average(allY) };
-
-    for (var i in items) {
-      let selfMidpoint = getMidPoint(items[i].segments);
-      let adjustX = trueMidpoint.x - selfMidpoint.x;
-      let adjustY = trueMidpoint.y - selfMidpoint.y;
 
-      for (var seg in items[i].segments) {
-        items[i].segments[seg]._point._x += adjustX;
-        items[i].segments[seg]._point._y += adjustY;
-      }
-
-      if (items[i].fillColor._type === "gradient") {
-        for (var comp in items[i].fillColor?._components || []) {
-          items[i].fillColor._components[comp].x += adjustX;
-          items[i].fillColor._components[comp].y += adjustY;
+        if (items[i].fillColor._type === "gradient") {
+          for (var comp in items[i].fillColor?._components || []) {
+            items[i].fillColor._components[comp].x += adjustX;
+            items[i].fillColor._components[comp].y += adjustY;
+          }
         }
       }
-    }
-
-    (await feature.traps.getPaper()).tool.onUpdateImage();
+    });
   }
 
   function getMidPoint(segments) {
@@ -1,5 +1,5 @@
 export default async function ({ feature, console }) {
-    let pinned = await (await fetch(`https://data.scratchtools.app/pinned/${feature.redux.getState().preview.projectInfo.id}/`)).json()
+    let pinned = await feature.server.get(`/pinned/${feature.redux.getState().preview.projectInfo.id}/`)
     let { username: author } = feature.redux.getState().preview.projectInfo.author
     let { id } = feature.redux.getState().preview.projectInfo
     let { username } = feature.redux.getState().session?.session?.user
@@ -95,16 +95,10 @@ export default async function ({ feature, console }) {
 
                 span.addEventListener("click", async function () {
                     ScratchTools.verifyUser(async function (token) {
-                        let data = await (
-                            await fetch("https://data.scratchtools.app/unpin/", {
-                                method: "POST",
-                                headers: {
-                                    Accept: "application/json",
-                                    "Content-Type": "application/json",
-                                },
-                                body: JSON.stringify({ token, project: id.toString() }),
-                            })
-                        ).json();
+                        let data = await feature.server.post("/unpin/", {
+                            token,
+                            project: id.toString(),
+                        });
 
                         if (data.error) {
                             ScratchTools.modals.create({
@@ -131,16 +125,13 @@ export default async function ({ feature, console }) {
 
                 span.addEventListener("click", async function () {
                     ScratchTools.verifyUser(async function (token) {
-                        let data = await (
-                            await fetch("https://data.scratchtools.app/pin/", {
-                                method: "POST",
-                                headers: {
-                                    Accept: "application/json",
-                                    "Content-Type": "application/json",
-                                },
-                                body: JSON.stringify({ token, project: id.toString(), author: comment.querySelector("a").href.split("/")[4], id: comment.id.replace("comments-", ""), content: comment.querySelector(".comment-content").textContent }),
-                            })
-                        ).json();
+                        let data = await feature.server.post("/pin/", {
+                            token,
+                            project: id.toString(),
+                            author: comment.querySelector("a").href.split("/")[4],
+                            id: comment.id.replace("comments-", ""),
+                            content: comment.querySelector(".comment-content").textContent,
+                        });
 
                         if (data.error) {
                             ScratchTools.modals.create({
@@ -24,7 +24,7 @@ export default async function ({ feature, console }) {
                     div.appendChild(inner)
                     notes.appendChild(div)
 
-                    let data = await (await fetch(`https://data.scratchtools.app/description/${window.location.pathname.split("/")[2]}/`)).json()
+                    let data = await feature.server.get(`/description/${window.location.pathname.split("/")[2]}/`)
                     inner.textContent = data.response
 
                     let p = document.createElement("p")
@@ -2,9 +2,7 @@ export default async function ({ feature, console }) {
   let username = feature.redux.getState().session?.session?.user?.username;
 
   let projectId = window.location.pathname.split("/")[2];
-  let reactions = await (
-    await fetch(feature.server.endpoint(`/reactions/${projectId}/`))
-  ).json();
+  let reactions = await feature.server.get(`/reactions/${projectId}/`);
 
   ScratchTools.waitForElements("div.flex-row.stats", function (req, res) {
     makeReactions(reactions);
@@ -115,20 +113,11 @@ export default async function ({ feature, console }) {
           if (!img.className.includes("selected")) {
             this.classList.add("selected");
             ScratchTools.verifyUser(async function (token) {
-              let data = await (
-                await fetch("https://data.scratchtools.app/react/", {
-                  method: "POST",
-                  headers: {
-                    Accept: "application/json",
-                    "Content-Type": "application/json",
-                  },
-                  body: JSON.stringify({
-                    token,
-                    emoji,
-                    project: projectId,
-                  }),
-                })
-              ).json();
+              let data = await feature.server.post("/react/", {
+                token,
+                emoji,
+                project: projectId,
+              });
 
               if (data.success) {
                 reactions = data.data;
@@ -138,16 +127,11 @@ export default async function ({ feature, console }) {
           } else {
             this.classList.remove("selected");
             ScratchTools.verifyUser(async function (token) {
-              let data = await (
-                await fetch("https://data.scratchtools.app/unreact/", {
-                  method: "POST",
-                  headers: {
-                    Accept: "application/json",
-                    "Content-Type": "application/json",
-                  },
-                  body: JSON.stringify({ token, emoji, project: projectId }),
-                })
-              ).json();
+              let data = await feature.server.post("/unreact/", {
+                token,
+                emoji,
+                project: projectId,
+              });
 
               if (data.success) {
                 reactions = data.data;
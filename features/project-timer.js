@@ -17,7 +17,7 @@ if (window.location.href.includes("https://scratch.mit.edu/projects/")) {
       }
     });
   }
-  ScratchTools.Scratch.vm.runtime.on("PROJECT_RUN_START", function () {
+  feature.traps.on("projectStarted", function () {
     if (document.querySelector("div.timer.scratchtools") === null) {
       var bar = document.createElement("div");
       bar.className = "timer scratchtools";
@@ -35,7 +35,7 @@ if (window.location.href.includes("https://scratch.mit.edu/projects/")) {
     }
     document.scratchtoolsTimer = ScratchTools.Scratch.vm.runtime.currentMSecs;
   });
-  ScratchTools.Scratch.vm.runtime.on("PROJECT_RUN_STOP", function () {
+  feature.traps.on("projectStopped", function () {
     document.scratchtoolsTimer = null;
     if (document.querySelector("div.timer.scratchtools") !== null) {
       document.querySelector("div.timer.scratchtools").remove();
@@ -21,9 +21,9 @@ export default async function ({ feature, console }) {
     return div;
   }
 
-  document.addEventListener("keydown", async function (e) {
-    if (e.which === 75 && e.metaKey) {
-      e.preventDefault();
+  feature.shortcuts.on(
+    "open",
+    function () {
       search.div.style.display = null;
       search.input.focus();
       search.input.value = "";
@@ -32,7 +32,11 @@ export default async function ({ feature, console }) {
       document.querySelector(".qs-ai-instructions")?.remove()
       document.querySelector(".qs-escape-instructions").style.display = null
       getAdditionalResults(search.input);
-    }
+    },
+    { allowInInputs: true }
+  );
+
+  document.addEventListener("keydown", async function (e) {
     if (
       e.which === 13 &&
       document.activeElement === search.input &&
@@ -42,19 +46,10 @@ export default async function ({ feature, console }) {
         let query = search.input.value;
         aiResponse("AI is currently responding to your request...", true);
         let username = (await feature.auth.fetch())?.user?.username || "";
-        let data = await (
-          await fetch("https://data.scratchtools.app/ai-query/", {
-            method: "POST",
-            headers: {
-              Accept: "application/json",
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify({
-              username,
-              search: search.input.value.replace("Scatt", ""),
-            }),
-          })
-        ).json();
+        let data = await feature.server.post("/ai-query/", {
+          username,
+          search: search.input.value.replace("Scatt", ""),
+        });
         if (query === search.input.value) {
           search.input.value = "Scatt ";
           if (typeof data.response === "string") {
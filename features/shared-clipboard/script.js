@@ -1,37 +1,44 @@
-async function loadSharedClipboard() {
+export default async function ({ feature, console }) {
   await ScratchTools.waitForElement(
     "div[class^='paint-editor_mode-selector_']"
   );
-  let preLoadedClipboard = await ScratchTools.storage.get("sharedClipboard");
-  let lastClipboard = ScratchTools.Scratch.scratchPaint().clipboard.items;
+  let receiving = false;
+
+  function setClipboard(items) {
+    receiving = true;
+    feature.redux.dispatch({
+      type: "scratch-paint/clipboard/SET",
+      clipboardItems: items,
+    });
+    receiving = false;
+  }
+
+  // Newly opened editors start with whatever was copied last. It's kept in
+  // local storage, since copied shapes can be larger than sync storage allows.
+  let preLoadedClipboard = await feature.storage.local.get("clipboard");
   if (preLoadedClipboard) {
-    lastClipboard = preLoadedClipboard;
-    ScratchTools.Scratch.scratchPaint().clipboard = {
-      items: preLoadedClipboard,
-      pasteOffset: 0,
-    };
+    setClipboard(preLoadedClipboard);
   }
-  fetchClipboardData();
-  async function fetchClipboardData() {
-    if (ScratchTools.Scratch.scratchPaint()) {
-      let loadedClipboard = await ScratchTools.storage.get("sharedClipboard");
-      let currentClipboard =
-        ScratchTools.Scratch.scratchPaint().clipboard.items;
-      if (JSON.stringify(lastClipboard) !== JSON.stringify(currentClipboard)) {
-        await ScratchTools.storage.set({
-          key: "sharedClipboard",
-          value: currentClipboard,
-        });
-        lastClipboard = currentClipboard;
-      } else if (
-        loadedClipboard &&
-        JSON.stringify(lastClipboard) !== JSON.stringify(loadedClipboard)
-      ) {
-        ScratchTools.Scratch.scratchPaint().clipboard.items = loadedClipboard;
-        lastClipboard = loadedClipboard;
+
+  feature.broadcast.on("clipboard", function (items) {
+    if (!feature.self.enabled) return;
+    setClipboard(items);
+  });
+
+  feature.redux.onAction(
+    "scratch-paint/clipboard/SET",
+    async function (_, { next }) {
+      if (receiving) return;
+      let items = next.scratchPaint.clipboard.items;
+      feature.broadcast.post("clipboard", items);
+      try {
+        await feature.storage.local.set("clipboard", items);
+      } catch (err) {
+        console.warn(
+          "The copied shapes were shared with open editors, but couldn't " +
+            `be saved for new ones. ${err.message}`
+        );
       }
     }
-    setTimeout(fetchClipboardData, 500);
-  }
+  );
 }
-loadSharedClipboard();
@@ -1,10 +1,7 @@
-document.body.addEventListener("keyup", function (e) {
-  if (
-    e.which === 191 &&
-    document.activeElement === document.body &&
-    !ScratchTools.Scratch?.scratchGui()?.vmStatus?.running
-  ) {
+export default function ({ feature }) {
+  feature.shortcuts.on("focus", function () {
+    if (ScratchTools.Scratch?.scratchGui()?.vmStatus?.running) return;
     document.querySelector("li.search input")?.focus();
     document.querySelector("input#search-input")?.focus()
-  }
-});
+  });
+}
@@ -5,62 +5,72 @@ export default async function ({ feature, console, scratchClass }) {
 			resolve(rem);
 		})();
 		(async () => {
-			const rem = await ScratchTools.waitForElement(".menu-bar_account-info-group_MeJZP")
+			const rem = await ScratchTools.waitForElement("[class*='menu-bar_account-info-group_']")
 			resolve(rem);
 		})();
 	})
 
-	let openPopup = document.createElement("button");
-
-	ScratchTools.waitForElements(".preview .inner .flex-row.action-buttons", async function (row) {
-		if (row.querySelector(".ste-video-recorder-open")) return;
-		openPopup = document.createElement("button");
-		openPopup.className = "button action-button ste-video-recorder-open";
-		openPopup.textContent = "Record Video";
-		row.insertAdjacentElement("afterbegin", openPopup);
-		openPopup.addEventListener('click', () => {
-			document.body.append(popup)
-		})
-	})
-
-	ScratchTools.waitForElements(".menu-bar_account-info-group_MeJZP", async function (row) {
-		if (row.querySelector(".ste-video-recorder-open")) return;
-		openPopup = document.createElement("div");
-		openPopup.className = `${scratchClass("menu-bar_menu-bar-item_")} ${scratchClass("menu-bar_hoverable_")}`;
-		openPopup.style.padding = "0 0.75rem"
-		let rem = document.createElement("div");
-		rem.textContent = "Record Video";
-		openPopup.append(rem);
-		row.insertAdjacentElement("afterbegin", openPopup);
-		openPopup.addEventListener('click', () => {
-			document.body.append(popup)
-		})
-	})
-
-	let popup = document.createElement("div");
-	popup.insertAdjacentHTML("afterbegin", await (await fetch(feature.self.getResource("popup-html"))).text())
-	popup = popup.querySelector("div.ReactModalPortal")
-
-	let stopButton = popup.querySelector(".stopButton");
-	let startButton = popup.querySelector(".startButton");
-	let closeButton = popup.querySelector(".close-button_close-button_lOp2G");
-	let downloadButton = popup.querySelector(".downloadButton");
+	let projectButton = document.createElement("button");
+	projectButton.className = "button action-button ste-video-recorder-open";
+	projectButton.textContent = "Record Video";
+	projectButton.addEventListener('click', openRecorder)
+	feature.spaces.add({ space: "beforeProjectActionButtons", element: projectButton, order: 0 })
+
+	let menuButton = document.createElement("div");
+	menuButton.className = `${scratchClass("menu-bar_menu-bar-item_")} ${scratchClass("menu-bar_hoverable_")} ste-video-recorder-open`;
+	menuButton.style.padding = "0 0.75rem"
+	let menuButtonText = document.createElement("div");
+	menuButtonText.textContent = "Record Video";
+	menuButton.append(menuButtonText);
+	menuButton.addEventListener('click', openRecorder)
+	feature.spaces.add({ space: "menuBarBeforeAccount", element: menuButton, order: 0 })
+
+	// The same content is reused each time the dialog opens, so a recording
+	// keeps going while it's closed.
+	let content = document.createElement("div");
+	content.className = "ste-video-recorder";
+
+	function createButton(text, className) {
+		let button = document.createElement("button");
+		button.type = "button";
+		button.className = `ste-dialog-button ste-dialog-button-primary ${className}`;
+		button.textContent = text;
+		return button;
+	}
+
+	function createCheckbox(text, checked) {
+		let label = document.createElement("label");
+		let checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.checked = checked;
+		label.append(checkbox, text);
+		content.append(label);
+		return checkbox;
+	}
+
+	let stopButton = createButton("Stop Recording", "STE-hide-button");
+	let startButton = createButton("Start Recording", "");
+	content.append(stopButton, startButton);
+	let microphoneCheckbox = createCheckbox("Microphone", false);
+	let desktopSoundCheckbox = createCheckbox("Desktop sound", true);
+	let mimeType = document.createElement("select");
+	for (let format of ["mp4", "webm"]) {
+		let option = document.createElement("option");
+		option.value = format;
+		option.textContent = format;
+		mimeType.append(option);
+	}
+	const preview = document.createElement("video");
+	preview.className = "STE-recorded-video";
+	let downloadButton = createButton("Download Video", "");
+	content.append(mimeType, "Preview:", preview, downloadButton);
 	let lastDownloadFunction = () => { }
-	let mimeType = popup.querySelector("select");
-	let microphoneCheckbox = popup.querySelector(".microphoneCheckbox");
-	let desktopSoundCheckbox = popup.querySelector(".desktopSoundCheckbox");
 
-	closeButton.addEventListener('click', () => {
-		document.querySelector(".STE-ReactModalPortal").remove()
-	})
-	addEventListener("keydown", (e) => {
-		if (e.key === "Escape") {
-			document.querySelector(".STE-ReactModalPortal").remove()
-		}
-	})
+	function openRecorder() {
+		feature.ui.open({ title: "Video Recording", content });
+	}
 
 	const canvas = feature.traps.vm.renderer.canvas;
-	const preview = popup.querySelector("video")
 
 	await new Promise(async (resolve, reject) => {
 		(async () => {
@@ -1,10 +1,10 @@
 async function getProjects() {
-    let projects = (await chrome.storage.sync.get("watchLater"))?.watchLater || []
+    let projects = (await chrome.storage.local.get("watch-later/projects"))?.["watch-later/projects"] || (await chrome.storage.sync.get("watchLater"))?.watchLater || []
 
     projects = projects.reverse()
     
     for (var i in projects) {
-        let data = await (await fetch(`https://data.scratchtools.app/projects/${projects[i]}/`)).json()
+        let data = await ScratchTools.server.get(`/projects/${projects[i]}/`)
         if (!data.error) {
             let div = document.createElement("div")
             div.className = "thumbnail project"
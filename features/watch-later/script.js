@@ -1,46 +1,71 @@
-export default function ({ feature, console }) {
+export default async function ({ feature, console }) {
+  await feature.storage.migrate({
+    1: async function (storage) {
+      let legacy = await ScratchTools.storage.get("watchLater");
+      if (legacy) {
+        await storage.set("projects", legacy);
+        await ScratchTools.storage.remove("watchLater");
+      }
+    },
+  });
+
+  let saved = (await feature.storage.get("projects")) || [];
+
+  function getProject() {
+    return window.location.pathname.split("/")[2];
+  }
+
+  function getLabel() {
+    return saved.includes(getProject())
+      ? feature.msg("unsave")
+      : feature.msg("save");
+  }
+
+  // Registered once, since the row can render more than once. They update
+  // whichever button is on the page at the time.
+  feature.redux.select(
+    (state) => state.preview.projectInfo.is_published,
+    function (published) {
+      let button = document.querySelector(".ste-watch-later");
+      if (button) button.style.display = published ? null : "none";
+    },
+    { immediate: true }
+  );
+
+  feature.broadcast.on("projects", function (projects) {
+    saved = projects;
+    let button = document.querySelector(".ste-watch-later");
+    if (button) button.textContent = getLabel();
+  });
+
   ScratchTools.waitForElements(
     ".preview .inner .flex-row.action-buttons",
     async function (row) {
-      let saved = (await ScratchTools.storage.get("watchLater")) || [];
+      saved = (await feature.storage.get("projects")) || [];
 
       let button = document.createElement("button");
       button.className = "button action-button ste-watch-later";
-      button.textContent = saved.includes(
-        window.location.pathname.split("/")[2]
-      )
-        ? feature.msg("unsave")
-        : feature.msg("save");
+      button.textContent = getLabel();
 
       feature.self.hideOnDisable(button);
 
-      button.style.display = !feature.redux.getState().preview.projectInfo.is_published ? "none" : null
-
-      feature.redux.target.addEventListener("statechanged", function(e) {
-        button.style.display = !feature.redux.getState().preview.projectInfo.is_published ? "none" : null
-      })
+      let published = feature.redux.getState()?.preview?.projectInfo
+        ?.is_published;
+      button.style.display = published === false ? "none" : null;
 
       button.addEventListener("click", async function () {
-        saved = (await ScratchTools.storage.get("watchLater")) || [];
+        saved = (await feature.storage.get("projects")) || [];
 
-        if (saved.includes(window.location.pathname.split("/")[2])) {
-          saved = saved.filter(
-            (id) => id !== window.location.pathname.split("/")[2]
-          );
+        if (saved.includes(getProject())) {
+          saved = saved.filter((id) => id !== getProject());
         } else {
-          saved.push(window.location.pathname.split("/")[2]);
+          saved.push(getProject());
         }
 
-        await ScratchTools.storage.set({
-          key: "watchLater",
-          value: saved,
-        });
+        await feature.storage.set("projects", saved);
+        feature.broadcast.post("projects", saved);
 
-        button.textContent = saved.includes(
-          window.location.pathname.split("/")[2]
-        )
-          ? feature.msg("unsave")
-          : feature.msg("save");
+        button.textContent = getLabel();
       });
 
       row.appendChild(button);
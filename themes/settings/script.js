@@ -39,9 +39,7 @@ var defaultThemes = [
 ];
 
 async function getAvailableThemes() {
-  var steThemes = await (
-    await fetch("https://data.scratchtools.app/themes/scratchtools/")
-  ).json();
+  var steThemes = await ScratchTools.server.get("/themes/scratchtools/");
   steThemes.forEach(function (el) {
     document
       .querySelector(".ste-themes")